@@ -14,3 +14,15 @@ SG.SetRootDir(__dirname);
 
 module.exports = require('./lib/remote-objects');
 module.exports.SharedClass = require('./lib/shared-class');
+
+const preconditionErrors = require('./lib/precondition-errors');
+module.exports.PreconditionFailedError =
+  preconditionErrors.PreconditionFailedError;
+module.exports.PreconditionRequiredError =
+  preconditionErrors.PreconditionRequiredError;
+
+const rateLimit = require('./lib/rate-limit');
+module.exports.RateLimitMemoryStore = rateLimit.MemoryStore;
+module.exports.RateLimitExceededError = rateLimit.RateLimitExceededError;
+module.exports.IdempotencyMemoryStore =
+  require('./lib/idempotency').MemoryStore;
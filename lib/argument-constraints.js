@@ -0,0 +1,140 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const g = require('strong-globalize')();
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.\-]*:[^\s]*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+
+module.exports = {
+  CONSTRAINTS: [
+    'enum', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'format',
+  ],
+  FORMATS: FORMATS,
+  validate: validate,
+};
+
+/**
+ * Check the (already coerced) value against constraints declared
+ * by the argument description.
+ *
+ * Supported constraints:
+ *
+ *  - `enum` - an array of allowed values
+ *  - `min`, `max` - bounds of numbers and dates
+ *  - `minLength`, `maxLength` - bounds of string length
+ *  - `pattern` - a `RegExp` or a regular expression string matched
+ *    against strings
+ *  - `format` - one of `email`, `uri` or `uuid`
+ *
+ * Constraints of arguments with an array type are applied to each item.
+ * `null` and `undefined` values are not checked, use `required` to reject
+ * them.
+ *
+ * @param {Object} desc Argument description, e.g. `accepts[0]`.
+ * @param {*} value The value to check.
+ * @returns {Error|null} The error (with `statusCode` 400) or `null`.
+ */
+function validate(desc, value) {
+  if (value === undefined || value === null)
+    return null;
+
+  if (Array.isArray(desc.type) && Array.isArray(value)) {
+    for (let ix = 0; ix < value.length; ix++) {
+      const err = validateValue(desc, value[ix]);
+      if (err) {
+        err.message = g.f('Invalid array item %d. ', ix) + err.message;
+        return err;
+      }
+    }
+    return null;
+  }
+
+  return validateValue(desc, value);
+}
+
+function validateValue(desc, value) {
+  if (value === undefined || value === null)
+    return null;
+
+  if (Array.isArray(desc.enum) && !isOneOf(value, desc.enum)) {
+    return constraintError(g.f('Value must be one of %s.',
+      desc.enum.map(format).join(', ')));
+  }
+
+  const isComparable = typeof value === 'number' || value instanceof Date;
+  if (isComparable && desc.min != null &&
+      toComparable(value) < toComparable(desc.min, value)) {
+    return constraintError(g.f('Value must not be less than %s.',
+      format(desc.min)));
+  }
+
+  if (isComparable && desc.max != null &&
+      toComparable(value) > toComparable(desc.max, value)) {
+    return constraintError(g.f('Value must not be greater than %s.',
+      format(desc.max)));
+  }
+
+  if (typeof value !== 'string')
+    return null;
+
+  if (desc.minLength != null && value.length < desc.minLength) {
+    return constraintError(g.f('Value must be at least %d characters long.',
+      desc.minLength));
+  }
+
+  if (desc.maxLength != null && value.length > desc.maxLength) {
+    return constraintError(g.f('Value must be at most %d characters long.',
+      desc.maxLength));
+  }
+
+  if (desc.pattern != null) {
+    const pattern = desc.pattern instanceof RegExp ?
+      desc.pattern : new RegExp(desc.pattern);
+    // reset the state of global regular expressions
+    pattern.lastIndex = 0;
+    if (!pattern.test(value)) {
+      return constraintError(g.f('Value does not match the pattern %s.',
+        String(desc.pattern)));
+    }
+  }
+
+  const formatRegex = desc.format && FORMATS[desc.format];
+  if (formatRegex && !formatRegex.test(value)) {
+    return constraintError(g.f('Value is not a valid %s.', desc.format));
+  }
+
+  return null;
+}
+
+function isOneOf(value, allowed) {
+  const comparable = toComparable(value);
+  return allowed.some(function(item) {
+    return toComparable(item, value) === comparable;
+  });
+}
+
+function toComparable(value, reference) {
+  if (reference instanceof Date && !(value instanceof Date)) {
+    // allow bounds of dates to be specified as strings or timestamps
+    value = new Date(value);
+  }
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function format(value) {
+  return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+}
+
+function constraintError(msg) {
+  const err = new Error(msg);
+  err.statusCode = 400;
+  return err;
+}
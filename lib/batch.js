@@ -0,0 +1,257 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const async = require('async');
+const debug = require('debug')('strong-remoting:batch');
+const g = require('strong-globalize')();
+const http = require('http');
+const querystring = require('querystring');
+
+module.exports = {
+  createHandler: createHandler,
+};
+
+const DEFAULT_MAX_ITEMS = 50;
+
+// marks sub-requests, batch requests cannot be nested
+const SUB_REQUEST = Symbol('strong-remoting:batch-sub-request');
+const DEFAULT_CONCURRENCY = 10;
+
+// headers of the batch request not inherited by sub-requests
+const OWN_HEADERS = [
+  'content-length', 'content-type', 'transfer-encoding', 'idempotency-key',
+];
+
+/**
+ * Create a handler of batch requests, running sub-requests through
+ * the express application of the batch request, i.e. through the same
+ * application middleware (e.g. authorization of sub-paths), hooks and phases
+ * as regular requests. Without an application (e.g. when the REST handler
+ * is used by a plain `http` server), sub-requests are run via the given
+ * router (the REST handler).
+ *
+ * The request body is an array of sub-requests `{method, path, headers,
+ * body}` (the path is relative to the REST root and can include a query
+ * string) or an object `{requests, parallel, stopOnError}` overriding
+ * the defaults. Sub-requests inherit headers of the batch request,
+ * sub-requests reaching the batch route fail with `400`.
+ *
+ * The response is an array of `{status, headers, body}` in the order of
+ * sub-requests. With `stopOnError`, the sub-requests not started after
+ * a failed (4xx or 5xx) one are reported with status `424` and
+ * `skipped: true`.
+ *
+ * @param {Function} router
+ * @options {Object} [options] Set via the `batch` option of the REST adapter.
+ * @property {String} [path] The path of the batch route, default `/batch`.
+ * @property {Number} [maxItems] Max number of sub-requests, default 50.
+ * @property {Boolean} [parallel] Run sub-requests in parallel by default.
+ * @property {Number} [concurrency] Max number of sub-requests run
+ *   in parallel, default 10.
+ * @property {Boolean} [stopOnError] Stop at the first failed sub-request
+ *   by default.
+ * @returns {Function}
+ */
+
+function createHandler(router, options) {
+  options = options || {};
+  const maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+
+  return function restBatchHandler(req, res, next) {
+    if (req[SUB_REQUEST]) {
+      const err = new Error(g.f('Batch requests cannot be nested.'));
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    const body = req.body;
+    const settings = Array.isArray(body) ? {requests: body} : body || {};
+    const requests = settings.requests;
+
+    const err = validateRequests(requests, maxItems);
+    if (err) return next(err);
+
+    const parallel = settings.parallel !== undefined ?
+      !!settings.parallel : !!options.parallel;
+    const stopOnError = settings.stopOnError !== undefined ?
+      !!settings.stopOnError : !!options.stopOnError;
+    const concurrency = parallel ?
+      options.concurrency || DEFAULT_CONCURRENCY : 1;
+    let failed = false;
+
+    debug('running %d sub-requests, parallel: %s, stopOnError: %s',
+      requests.length, parallel, stopOnError);
+
+    async.mapLimit(requests, concurrency, function(item, cb) {
+      if (failed && stopOnError) {
+        return cb(null, {
+          status: 424,
+          skipped: true,
+          body: {error: {
+            statusCode: 424,
+            message: g.f('Skipped after a failed request.'),
+          }},
+        });
+      }
+
+      dispatch(router, req, item, function(result) {
+        if (result.status >= 400) failed = true;
+        cb(null, result);
+      });
+    }, function(err, results) {
+      if (err) return next(err);
+      res.status(200).json(results);
+    });
+  };
+}
+
+function validateRequests(requests, maxItems) {
+  let msg;
+  if (!Array.isArray(requests)) {
+    msg = g.f('The batch request must be an array of requests.');
+  } else if (requests.length > maxItems) {
+    msg = g.f('The batch request must not have more than %d requests.',
+      maxItems);
+  } else {
+    requests.some(function(item, ix) {
+      const isValid = item && typeof item === 'object' &&
+        typeof item.path === 'string' && item.path[0] === '/';
+      if (!isValid) {
+        msg = g.f('Invalid request %d, {{path}} must be a string starting ' +
+          'with "/".', ix);
+      }
+      return !!msg;
+    });
+  }
+
+  if (!msg) return undefined;
+  const err = new Error(msg);
+  err.statusCode = 400;
+  return err;
+}
+
+function dispatch(router, parentReq, item, cb) {
+  const app = getRootApp(parentReq.app);
+  const req = createRequest(parentReq, item, app);
+  const res = createResponse(req);
+  const chunks = [];
+  let finished = false;
+
+  res.write = function(chunk, encoding) {
+    collect(chunk, encoding);
+    return true;
+  };
+
+  res.end = function(chunk, encoding) {
+    if (finished) return this;
+    collect(chunk, encoding);
+    finished = true;
+    this.finished = true;
+    this.emit('finish');
+    cb(toResult(res, Buffer.concat(chunks)));
+    return this;
+  };
+
+  const handle = app ? app.handle.bind(app) : router;
+  handle(req, res, function(err) {
+    if (finished) return;
+    if (!err) {
+      err = new Error(g.f('Shared class or method not found for %s %s.',
+        req.method, req.originalUrl));
+      err.statusCode = 404;
+    }
+    res.status(err.statusCode || err.status || 500).json({error: {
+      statusCode: err.statusCode || err.status || 500,
+      message: err.message,
+    }});
+  });
+
+  function collect(chunk, encoding) {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function')
+      return;
+    if (!Buffer.isBuffer(chunk)) {
+      chunk = Buffer.from(String(chunk),
+        typeof encoding === 'string' ? encoding : 'utf8');
+    }
+    chunks.push(chunk);
+  }
+}
+
+// sub-apps are mounted by the root app, their request URLs are relative
+// to it (the `baseUrl` of the batch request includes all mount paths)
+function getRootApp(app) {
+  if (!app || typeof app.handle !== 'function') return undefined;
+  while (app.parent) app = app.parent;
+  return app;
+}
+
+function createRequest(parentReq, item, rootApp) {
+  const req = new http.IncomingMessage(parentReq.socket);
+  const app = rootApp || parentReq.app;
+  if (app && app.request) Object.setPrototypeOf(req, app.request);
+
+  const headers = {};
+  Object.keys(parentReq.headers).forEach(function(name) {
+    if (OWN_HEADERS.indexOf(name) === -1)
+      headers[name] = parentReq.headers[name];
+  });
+  if (item.headers && typeof item.headers === 'object') {
+    Object.keys(item.headers).forEach(function(name) {
+      headers[name.toLowerCase()] = String(item.headers[name]);
+    });
+  }
+  if (item.body !== undefined && !headers['content-type'])
+    headers['content-type'] = 'application/json';
+
+  const queryIndex = item.path.indexOf('?');
+  const queryString = queryIndex === -1 ? '' : item.path.slice(queryIndex + 1);
+  const parseQuery = app && app.get('query parser fn') || querystring.parse;
+
+  req.method = String(item.method || 'GET').toUpperCase();
+  req.originalUrl = (parentReq.baseUrl || '') + item.path;
+  // the router handles URLs relative to the REST root
+  req.url = rootApp ? req.originalUrl : item.path;
+  req.headers = headers;
+  req.app = app;
+  req.query = parseQuery(queryString);
+  req.body = item.body === undefined ? {} : item.body;
+  // the body was already parsed as a part of the batch request
+  req._body = true;
+  // e.g. the token set by LoopBack authentication middleware
+  req.accessToken = parentReq.accessToken;
+  req[SUB_REQUEST] = true;
+  req.push(null);
+  return req;
+}
+
+function createResponse(req) {
+  const res = new http.ServerResponse(req);
+  const app = req.app;
+  if (app && app.response) Object.setPrototypeOf(res, app.response);
+  res.req = req;
+  res.app = app;
+  res.locals = {};
+  req.res = res;
+  return res;
+}
+
+function toResult(res, body) {
+  const result = {status: res.statusCode, headers: res.getHeaders()};
+  if (!body.length) return result;
+
+  const text = body.toString('utf8');
+  if (/\bjson\b/.test(res.getHeader('Content-Type'))) {
+    try {
+      result.body = JSON.parse(text);
+      return result;
+    } catch (err) {
+      debug('cannot parse JSON response %j: %s', text, err);
+    }
+  }
+  result.body = text;
+  return result;
+}
@@ -0,0 +1,145 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const debug = require('debug')('strong-remoting:cancellation');
+const EventEmitter = require('events').EventEmitter;
+const g = require('strong-globalize')();
+
+module.exports = {
+  attach: attach,
+  invokeWithTimeout: invokeWithTimeout,
+  isTimedOut: isTimedOut,
+};
+
+const controllers = new WeakMap();
+const timedOut = new WeakSet();
+
+/**
+ * Provide the cancellation signal of the invocation as `ctx.signal`.
+ *
+ * The signal is an `AbortSignal` (or an object with the same API on
+ * platforms without `AbortController`), it is aborted when the invocation
+ * times out or when the HTTP client closes the connection before
+ * the response was sent. `ctx.signal.reason` describes the cause.
+ *
+ * @param {Context} ctx
+ * @returns {Function} Call to stop watching the HTTP connection.
+ */
+
+function attach(ctx) {
+  const controller = createAbortController();
+  controllers.set(ctx, controller);
+  ctx.signal = controller.signal;
+
+  const res = ctx.res;
+  if (!res || typeof res.on !== 'function') return function() {};
+
+  function onClose() {
+    if (res.finished || ctx.signal.aborted) return;
+    debug('client closed the connection of %s', ctx.method.stringName);
+    const err = new Error(g.f('The client closed the connection.'));
+    err.code = 'CLIENT_DISCONNECTED';
+    abort(controller, err);
+  }
+
+  res.on('close', onClose);
+  return function detach() {
+    res.removeListener('close', onClose);
+  };
+}
+
+/**
+ * Invoke the method, failing with `504 Gateway Timeout` error
+ * (code `INVOCATION_TIMEOUT`) when it does not finish in time.
+ * The result of a timed out invocation is ignored.
+ *
+ * @param {Context} ctx
+ * @param {Number} timeout The timeout in milliseconds, `0` to not time out.
+ * @param {Function} invoke The function `invoke(cb)` invoking the method.
+ * @param {Function} cb
+ */
+
+function invokeWithTimeout(ctx, timeout, invoke, cb) {
+  if (!(timeout > 0)) return invoke(cb);
+
+  let finished = false;
+  const timer = setTimeout(function() {
+    finished = true;
+    timedOut.add(ctx);
+    const err = new Error(g.f('Invocation of %s timed out after %d ms.',
+      ctx.method.stringName, timeout));
+    err.statusCode = 504;
+    err.code = 'INVOCATION_TIMEOUT';
+
+    const controller = controllers.get(ctx);
+    if (controller) abort(controller, err);
+    cb(err);
+  }, timeout);
+
+  invoke(function() {
+    if (finished) {
+      debug('ignoring the result of timed out invocation of %s',
+        ctx.method.stringName);
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    cb.apply(this, arguments);
+  });
+}
+
+/**
+ * Check whether the invocation of the context timed out. The results
+ * of timed out invocations must be dropped before they are applied
+ * to the context (e.g. response headers), the error was already sent.
+ *
+ * @param {Context} ctx
+ * @returns {Boolean}
+ */
+
+function isTimedOut(ctx) {
+  return !!ctx && timedOut.has(ctx);
+}
+
+function abort(controller, reason) {
+  if (controller.signal.aborted) return;
+  controller.abort(reason);
+  if (controller.signal.reason === undefined) {
+    // platforms not supporting the abort reason
+    controller.signal.reason = reason;
+  }
+}
+
+function createAbortController() {
+  /* global AbortController */
+  if (typeof AbortController === 'function') return new AbortController();
+
+  const events = new EventEmitter();
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener: function(type, listener) {
+      events.on(type, listener);
+    },
+    removeEventListener: function(type, listener) {
+      events.removeListener(type, listener);
+    },
+  };
+
+  return {
+    signal: signal,
+    abort: function(reason) {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      signal.reason = reason;
+      const event = {type: 'abort', target: signal};
+      if (typeof signal.onabort === 'function') signal.onabort(event);
+      events.emit('abort', event);
+    },
+  };
+}
@@ -43,3 +43,15 @@ ContextBase.prototype.getScope = function() {
 ContextBase.prototype.setReturnArgByName = function(name, value) {
   // no-op
 };
+
+/**
+ * Get the name of the request part the argument value was read from,
+ * e.g. `query` or `body`.
+ *
+ * @param {Object} accept The argument description.
+ * @returns {String|undefined}
+ */
+ContextBase.prototype.getArgSource = function(accept) {
+  const http = accept.http;
+  return http && typeof http === 'object' ? http.source : undefined;
+};
@@ -19,8 +19,15 @@ const util = require('util');
 const inherits = util.inherits;
 const assert = require('assert');
 const ContextBase = require('./context-base');
+const contentDisposition = require('content-disposition');
+const crypto = require('crypto');
 const js2xmlparser = require('js2xmlparser');
+const jsonApi = require('./json-api');
+const jsonSerializer = require('./json-serializer');
 const SharedMethod = require('./shared-method');
+const PreconditionRequiredError =
+  require('./precondition-errors').PreconditionRequiredError;
+const Transform = require('stream').Transform;
 
 const DEFAULT_SUPPORTED_TYPES = [
   'application/json', 'application/javascript', 'application/xml',
@@ -34,6 +41,14 @@ const DEFAULT_SUPPORTED_TYPES = [
  * The above array value leads to spurious doc output.
  */
 
+// Coercion modes of compiled arguments, see `HttpContext.compileArgs()`
+const COERCE_UNLESS_JSON = 0;
+const COERCE_SLOPPY = 1;
+const COERCE_TYPED = 2;
+const COERCE_BY_SOURCE = 3;
+
+const argPlans = new WeakMap();
+
 const MuxDemux = require('mux-demux');
 const SSEClient = require('sse').Client;
 
@@ -46,16 +61,38 @@ const SSEClient = require('sse').Client;
  * @param {Function} method A [SharedMethod](#sharedmethod)
  * @options {Object} options See below.
  * @property {Boolean} xml Set to `true` to enable XML-based types.  Default is false.
+ * @property {Boolean} collectArgErrors Set to `true` to report all invalid
+ * arguments in a single error with `details`.  Default is false.
+ * @property {Boolean|String} validateReturns Set to `true` to reject return
+ * values not matching the declared `returns` types with a 500 error, or to
+ * `'warn'` to emit a process warning instead.  Default is false.
+ * @property {Boolean|String} etag Set to `'weak'` (or `true`) or `'strong'`
+ * to send an `ETag` computed from the result of GET methods and respond with
+ * `304 Not Modified` to matching conditional requests.  Methods can override
+ * the setting via `http.etag`.  Default is false.
+ * @property {Boolean} jsonSerializer Set to `true` to serialize JSON
+ * responses using serializers compiled from the `returns` types, omitting
+ * properties not declared by inline object types.  Methods can override
+ * the setting via `http.jsonSerializer`.  Default is false.
+ * @property {Boolean} jsonApi Set to `true` to send JSON:API documents
+ * to clients accepting `application/vnd.api+json`, using the name of the
+ * shared class as the resource type.  Default is false.
+ * @param {TypeRegistry} typeRegistry The registry of argument types.
+ * @param {Object} [responseFormats] Custom response formats keyed by
+ * content type, see `RemoteObjects.prototype.registerResponseFormat`.
  * @class
  */
 
-function HttpContext(req, res, method, options, typeRegistry) {
+function HttpContext(req, res, method, options, typeRegistry,
+  responseFormats) {
   ContextBase.call(this, method, typeRegistry);
 
   this.req = req;
   this.res = res;
   this.method = method;
   this.options = options || {};
+  this.responseFormats = responseFormats || {};
+  this.checkPreconditions(method);
   this.args = this.buildArgs(method);
   this.methodString = method.stringName;
   this.supportedTypes = this.options.supportedTypes || DEFAULT_SUPPORTED_TYPES;
@@ -72,6 +109,18 @@ function HttpContext(req, res, method, options, typeRegistry) {
     });
   }
 
+  if (this.options.jsonApi &&
+      this.supportedTypes.indexOf(jsonApi.CONTENT_TYPE) === -1) {
+    this.supportedTypes = this.supportedTypes.concat(jsonApi.CONTENT_TYPE);
+  }
+
+  const customTypes = Object.keys(this.responseFormats).filter(function(type) {
+    return this.supportedTypes.indexOf(type) === -1;
+  }, this);
+  if (customTypes.length) {
+    this.supportedTypes = this.supportedTypes.concat(customTypes);
+  }
+
   req.remotingContext = this;
 
   // streaming support
@@ -105,91 +154,72 @@ HttpContext.prototype.createStream = function() {
   }
 };
 
+/**
+ * Reject requests missing `If-Match` header when the method is declared
+ * with `http.requireIfMatch`.
+ *
+ * @param {SharedMethod} method
+ */
+
+HttpContext.prototype.checkPreconditions = function(method) {
+  const http = method.http || {};
+  if (http.requireIfMatch && !this.req.get('If-Match')) {
+    throw new PreconditionRequiredError();
+  }
+};
+
 /**
  * Build args object from the http context's `req` and `res`.
+ *
+ * The arguments are built using a plan compiled once per method,
+ * see `HttpContext.compileArgs()`.
  */
 
 HttpContext.prototype.buildArgs = function(method) {
   const args = {};
   const ctx = this;
-  const accepts = method.accepts;
+  const steps = HttpContext.compileArgs(method, this.typeRegistry);
 
-  const isJsonRequest = /^application\/json\b/.test(ctx.req.get('content-type'));
+  const isJsonRequest = /^application\/(json|vnd\.api\+json)\b/
+    .test(ctx.req.get('content-type'));
+  const collectArgErrors = !!this.options.collectArgErrors;
+  const argErrors = [];
 
   // build arguments from req and method options
-  for (let i = 0, n = accepts.length; i < n; i++) {
-    const o = accepts[i];
-    const httpFormat = o.http;
-    const name = o.name || o.arg;
-    let val;
-
-    const typeConverter = ctx.typeRegistry.getConverter(o.type);
-    const conversionOptions = SharedMethod.getConversionOptionsForArg(o);
-
-    // Turn off sloppy coercion for values coming from JSON payloads.
-    // This is because JSON, unlike other methods, properly retains types
-    // like Numbers, Booleans, and null/undefined.
-    let doSloppyCoerce = !isJsonRequest;
-
-    // This is an http method keyword, which requires special parsing.
-    if (httpFormat) {
-      switch (typeof httpFormat) {
-        case 'function':
-          // the options have defined a formatter
-          val = httpFormat(ctx);
-          // it's up to the custom provider to perform any coercion as needed
-          doSloppyCoerce = false;
-          break;
-        case 'object':
-          switch (httpFormat.source) {
-            case 'body':
-              val = ctx.req.body;
-              break;
-            case 'form':
-            case 'formData':
-              // From the form (body)
-              val = ctx.req.body && ctx.req.body[name];
-              break;
-            case 'query':
-              // From the query string
-              val = ctx.req.query[name];
-              doSloppyCoerce = true;
-              break;
-            case 'path':
-              // From the url path
-              val = ctx.req.params[name];
-              doSloppyCoerce = true;
-              break;
-            case 'header':
-              val = ctx.req.get(name);
-              doSloppyCoerce = true;
-              break;
-            case 'req':
-              // Direct access to http req
-              val = ctx.req;
-              break;
-            case 'res':
-              // Direct access to http res
-              val = ctx.res;
-              break;
-            case 'context':
-              // Direct access to http context
-              val = ctx;
-              break;
-          }
-          break;
-      }
-    } else {
-      val = ctx.getArgByName(name, o);
-      doSloppyCoerce = !(isJsonRequest && ctx.req.body &&
-        val === ctx.req.body[name]);
+  for (let i = 0, n = steps.length; i < n; i++) {
+    const step = steps[i];
+    const o = step.accept;
+    const name = step.name;
+    const typeConverter = step.converter;
+    const conversionOptions = step.conversionOptions;
+    const val = step.read(ctx);
+
+    let doSloppyCoerce;
+    switch (step.coercion) {
+      case COERCE_SLOPPY:
+        doSloppyCoerce = true;
+        break;
+      case COERCE_TYPED:
+        // it's up to the custom provider to perform any coercion as needed
+        doSloppyCoerce = false;
+        break;
+      case COERCE_BY_SOURCE:
+        // values found in JSON payloads retain their types
+        doSloppyCoerce = !(isJsonRequest && ctx.req.body &&
+          val === ctx.req.body[name]);
+        break;
+      default:
+        // Turn off sloppy coercion for values coming from JSON payloads.
+        // This is because JSON, unlike other methods, properly retains types
+        // like Numbers, Booleans, and null/undefined.
+        doSloppyCoerce = !isJsonRequest;
     }
 
     // Most of the time, the data comes through 'sloppy' methods like HTTP headers or a qs
     // which don't preserve types.
     //
     // Use some sloppy typing semantics to try to guess what the user meant to send.
-    const result = doSloppyCoerce ?
+    let result = doSloppyCoerce ?
       typeConverter.fromSloppyValue(ctx, val, conversionOptions) :
       typeConverter.fromTypedValue(ctx, val, conversionOptions);
 
@@ -205,17 +235,186 @@ HttpContext.prototype.buildArgs = function(method) {
       });
     }
 
+    if (result.value === undefined && !result.error && o.default !== undefined) {
+      const defaultResult = SharedMethod.convertArgDefault(o, ctx);
+      debug('arg %j: using default value %j', name, defaultResult);
+      if (defaultResult.error) throw defaultResult.error;
+      result = defaultResult;
+    }
+
     if (result.error) {
-      throw result.error;
+      if (!collectArgErrors) throw result.error;
+      argErrors.push(SharedMethod.describeArgError(o, ctx, result.error));
+      continue;
     }
 
     // Set the argument value.
     args[o.arg] = result.value;
+
+    if (collectArgErrors) {
+      // Run the checks performed by SharedMethod#invoke now, so that
+      // a single response can describe all invalid arguments
+      try {
+        const value = SharedMethod.convertArg(o, result.value);
+        SharedMethod.validateInputArgument(value, o, ctx, conversionOptions);
+      } catch (err) {
+        argErrors.push(SharedMethod.describeArgError(o, ctx, err));
+      }
+    }
+  }
+
+  if (argErrors.length) {
+    throw SharedMethod.invalidArgumentsError(argErrors);
   }
 
   return args;
 };
 
+/**
+ * Compile the plan used to build arguments of the given method: for each
+ * argument, the function reading the raw value from the request, the type
+ * converter and the coercion mode.
+ *
+ * Plans are cached per method and compiled again when the method's
+ * `accepts` or the types registered in the registry change.
+ *
+ * @param {SharedMethod} method
+ * @param {TypeRegistry} typeRegistry
+ * @returns {Object[]} The steps of the plan, one per argument.
+ */
+
+HttpContext.compileArgs = function(method, typeRegistry) {
+  const accepts = method.accepts;
+  const plan = argPlans.get(method);
+  const isUpToDate = plan && plan.accepts === accepts &&
+    plan.length === accepts.length &&
+    plan.typeRegistry === typeRegistry &&
+    plan.version === typeRegistry._version;
+  if (isUpToDate) return plan.steps;
+
+  debug('compiling arguments of %s', method.stringName);
+  const steps = accepts.map(function(o) {
+    const step = {
+      accept: o,
+      name: o.name || o.arg,
+      converter: typeRegistry.getConverter(o.type),
+      conversionOptions: SharedMethod.getConversionOptionsForArg(o),
+    };
+    compileArgReader(step, o.http);
+    return step;
+  });
+
+  argPlans.set(method, {
+    accepts: accepts,
+    length: accepts.length,
+    typeRegistry: typeRegistry,
+    version: typeRegistry._version,
+    steps: steps,
+  });
+  return steps;
+};
+
+function compileArgReader(step, httpFormat) {
+  const name = step.name;
+  step.coercion = COERCE_UNLESS_JSON;
+
+  if (!httpFormat) {
+    step.read = function(ctx) { return ctx.getArgByName(name, step.accept); };
+    step.coercion = COERCE_BY_SOURCE;
+    return;
+  }
+
+  // This is an http method keyword, which requires special parsing.
+  switch (typeof httpFormat) {
+    case 'function':
+      // the options have defined a formatter
+      step.read = function(ctx) { return httpFormat(ctx); };
+      step.coercion = COERCE_TYPED;
+      return;
+    case 'object':
+      switch (httpFormat.source) {
+        case 'body':
+          step.read = function(ctx) { return ctx.req.body; };
+          return;
+        case 'form':
+        case 'formData':
+          // From the form (body)
+          step.read = function(ctx) { return ctx.req.body && ctx.req.body[name]; };
+          return;
+        case 'query':
+          // From the query string
+          step.read = function(ctx) { return ctx.req.query[name]; };
+          step.coercion = COERCE_SLOPPY;
+          return;
+        case 'path':
+          // From the url path
+          step.read = function(ctx) { return ctx.req.params[name]; };
+          step.coercion = COERCE_SLOPPY;
+          return;
+        case 'header':
+          step.read = function(ctx) { return ctx.req.get(name); };
+          step.coercion = COERCE_SLOPPY;
+          return;
+        case 'ifMatch':
+          // Entity tags from If-Match header, without quotes
+          step.read = function(ctx) { return parseIfMatch(ctx.req.get('If-Match')); };
+          step.coercion = COERCE_SLOPPY;
+          return;
+        case 'req':
+          // Direct access to http req
+          step.read = function(ctx) { return ctx.req; };
+          return;
+        case 'res':
+          // Direct access to http res
+          step.read = function(ctx) { return ctx.res; };
+          return;
+        case 'context':
+          // Direct access to http context
+          step.read = function(ctx) { return ctx; };
+          return;
+      }
+  }
+
+  step.read = function() { return undefined; };
+}
+
+/**
+ * Get the name of the request part the argument value was read from.
+ *
+ * Arguments without an explicit `http.source` are looked up in the same
+ * order as `getArgByName()` does: path, body, query and headers.
+ *
+ * @param {Object} accept The argument description.
+ * @returns {String|undefined} `path`, `body`, `query`, `header`, the
+ *   explicit `http.source` or `undefined` for custom mappings.
+ */
+
+HttpContext.prototype.getArgSource = function(accept) {
+  const http = accept.http;
+  if (typeof http === 'function') return undefined;
+  if (http && http.source) return http.source;
+
+  const name = accept.name || accept.arg;
+  const req = this.req;
+
+  if (req.params[name] !== undefined) return 'path';
+  if (req.body && req.body[name] !== undefined) return 'body';
+  if (req.query[name] !== undefined) return 'query';
+  if (req.get(name) !== undefined) return 'header';
+  return undefined;
+};
+
+function parseIfMatch(header) {
+  if (!header) return undefined;
+  const tags = header.split(',').map(function(tag) {
+    // weak tags are kept as-is, they never match in strong comparison
+    return tag.trim().replace(/^"(.*)"$/, '$1');
+  }).filter(function(tag) {
+    return tag !== '';
+  });
+  return tags.length === 1 ? tags[0] : tags;
+}
+
 /**
  * Get an arg by name using the given options.
  *
@@ -334,10 +533,105 @@ HttpContext.prototype.setReturnArgByName = function(name, value) {
       case 'header':
         res.set(returnDesc.http.header || name, value);
         return ARG_WAS_HANDLED;
+      case 'etag':
+        if (value !== undefined && value !== null)
+          res.set('ETag', formatETag(String(value)));
+        return ARG_WAS_HANDLED;
+      case 'lastModified':
+        if (value !== undefined && value !== null)
+          res.set('Last-Modified', new Date(value).toUTCString());
+        return ARG_WAS_HANDLED;
     }
   }
 };
 
+function formatETag(value) {
+  return /^(W\/)?"/.test(value) ? value : '"' + value + '"';
+}
+
+/**
+ * Get the ETag mode of the invoked method, `'weak'`, `'strong'` or `false`.
+ * The method setting `http.etag` takes precedence over the `etag` option.
+ *
+ * @returns {String|Boolean}
+ */
+
+HttpContext.prototype.getETagMode = function() {
+  const http = this.method.http || {};
+  const mode = http.etag !== undefined ? http.etag : this.options.etag;
+  if (mode === true) return 'weak';
+  return mode === 'weak' || mode === 'strong' ? mode : false;
+};
+
+/**
+ * Get the function serializing JSON responses of the invoked method, see
+ * the `jsonSerializer` option. Returns `undefined` when the compiled
+ * serializer is disabled or the application configures `json spaces`,
+ * `json replacer` or `json escape` settings honoured by `res.json()`.
+ *
+ * @returns {Function|undefined}
+ */
+
+HttpContext.prototype.getJsonSerializer = function() {
+  const http = this.method.http || {};
+  const enabled = http.jsonSerializer !== undefined ?
+    http.jsonSerializer : this.options.jsonSerializer;
+  if (!enabled) return undefined;
+
+  const app = this.req.app;
+  const hasJsonSettings = app && typeof app.get === 'function' &&
+    (app.get('json spaces') !== undefined ||
+      app.get('json replacer') !== undefined || app.get('json escape'));
+  if (hasJsonSettings) return undefined;
+
+  return jsonSerializer.forMethod(this.method);
+};
+
+/**
+ * Check whether the response can be replaced with `304 Not Modified`,
+ * i.e. the request is a conditional GET or HEAD request matching
+ * the `ETag` or `Last-Modified` header of the successful response.
+ *
+ * @returns {Boolean}
+ */
+
+HttpContext.prototype.isNotModified = function() {
+  const res = this.res;
+  const hasValidators = res.get('ETag') || res.get('Last-Modified');
+  // req.fresh checks the method, status code and conditional headers
+  return !!hasValidators && this.req.fresh;
+};
+
+function generateETag(contentType, body, mode) {
+  const hash = crypto.createHash('sha1')
+    .update(String(contentType) + '\n', 'utf8')
+    .update(body, 'utf8')
+    .digest('base64')
+    .substring(0, 27);
+  const etag = '"' + Buffer.byteLength(body).toString(16) + '-' + hash + '"';
+  return mode === 'weak' ? 'W/' + etag : etag;
+}
+
+// Call `sendBody` of the response operation and return the body passed
+// to `res.send()` instead of sending it.
+function renderBody(res, operationResults, data, method) {
+  const hasOwnSend = res.hasOwnProperty('send');
+  const send = res.send;
+  let body;
+  res.send = function(chunk) {
+    body = chunk;
+    return this;
+  };
+
+  try {
+    operationResults.sendBody(res, data, method);
+  } finally {
+    if (hasOwnSend) res.send = send;
+    else delete res.send;
+  }
+  return body;
+}
+
 function toJSON(input) {
   if (!input) {
     return input;
@@ -460,11 +754,42 @@ function sendBodyDefault(res) {
   res.status(406).send('Not Acceptable');
 }
 
+/**
+ * Find a custom response format matching the content type negotiated
+ * from `Accept` header or the value of `_format` query parameter.
+ *
+ * @param {String} accepts The content type or a format alias.
+ * @returns {Object|undefined}
+ */
+
+HttpContext.prototype.findResponseFormat = function(accepts) {
+  if (typeof accepts !== 'string') return undefined;
+  const formats = this.responseFormats;
+  if (formats[accepts]) return formats[accepts];
+
+  for (const type in formats) {
+    if (formats[type].aliases.indexOf(accepts) !== -1)
+      return formats[type];
+  }
+  return undefined;
+};
+
 /**
  * Deciding on the operation of response, function is called inside this.done()
  */
 
 HttpContext.prototype.resolveReponseOperation = function(accepts) {
+  const format = this.findResponseFormat(accepts);
+  if (format) {
+    const ctx = this;
+    return {
+      sendBody: function sendBodyCustom(res, data) {
+        res.send(format.serialize(ctx, data));
+      },
+      contentType: format.contentType,
+    };
+  }
+
   const result = { // default
     sendBody: sendBodyJson,
     contentType: 'application/json',
@@ -476,6 +801,13 @@ HttpContext.prototype.resolveReponseOperation = function(accepts) {
       break;
     case 'application/vnd.api+json':
       result.contentType = 'application/vnd.api+json';
+      if (this.options.jsonApi) {
+        const ctx = this;
+        result.sendBody = function sendBodyJsonApi(res, data) {
+          // send a buffer to keep the content type without charset
+          res.send(Buffer.from(JSON.stringify(jsonApi.toDocument(ctx, data))));
+        };
+      }
       break;
     case 'application/javascript':
     case 'text/javascript':
@@ -496,6 +828,14 @@ HttpContext.prototype.resolveReponseOperation = function(accepts) {
       result.contentType = 'text/plain';
       break;
   }
+
+  const serialize = result.sendBody === sendBodyJson &&
+    this.getJsonSerializer();
+  if (serialize) {
+    result.sendBody = function sendBodyCompiledJson(res, data) {
+      res.send(serialize(data));
+    };
+  }
   return result;
 };
 
@@ -573,19 +913,48 @@ HttpContext.prototype.done = function(cb) {
   if (res.statusCode !== 304 && !res.get('Content-Type')) {
     res.header('Content-Type', operationResults.contentType);
   }
+  const etagMode = this.getETagMode();
+  const isReadRequest = this.req.method === 'GET' || this.req.method === 'HEAD';
+  let body;
+  if (etagMode && isReadRequest && dataExists && this.resultType !== 'file' &&
+      !res.get('ETag')) {
+    // the ETag is computed from the bytes sent (e.g. including the JSONP
+    // callback) and the content type, the body is rendered before the check
+    // of conditional headers
+    try {
+      body = renderBody(res, operationResults, data, method);
+    } catch (err) {
+      return cb(err);
+    }
+    const isSuccess = res.statusCode >= 200 && res.statusCode < 300;
+    const isBytes = typeof body === 'string' || Buffer.isBuffer(body);
+    if (isBytes && isSuccess) {
+      res.set('ETag', generateETag(res.get('Content-Type'), body, etagMode));
+    }
+  }
+
+  if (this.isNotModified()) {
+    debug('%s: not modified', this.methodString);
+    res.status(304);
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Length');
+    res.end();
+    if (this.resultType === 'file' && data && typeof data.pipe === 'function')
+      closeStream(data);
+    return cb();
+  }
+
   if (dataExists) {
-    if (this.resultType !== 'file') {
-      operationResults.sendBody(res, data, method);
-      res.end();
-    } else if (Buffer.isBuffer(data) || typeof(data) === 'string') {
-      res.end(data);
-    } else if (data.pipe) {
-      data.pipe(res);
-    } else {
-      const valueType = SharedMethod.getType(data);
-      const msg = g.f('Cannot create a file response from %s ', valueType);
-      return cb(new Error(msg));
+    if (this.resultType === 'file') {
+      return this.respondWithFile(data, cb);
+    }
+    try {
+      if (body !== undefined) res.send(body);
+      else operationResults.sendBody(res, data, method);
+    } catch (err) {
+      return cb(err);
     }
+    res.end();
   } else {
     if (res.statusCode === undefined || res.statusCode === 200) {
       res.statusCode = 204;
@@ -595,3 +964,190 @@ HttpContext.prototype.done = function(cb) {
 
   cb();
 };
+
+/**
+ * Send the result of a method returning `{type: 'file', root: true}`.
+ *
+ * The value can be a `Buffer`, a `String`, a readable stream or a seekable
+ * source `{size, createReadStream(options)}`, where `options.start` and
+ * `options.end` are inclusive byte offsets like in `fs.createReadStream()`.
+ * Streams can report their length via `size` or `length` property.
+ *
+ * When the length is known, the response includes `Content-Length`
+ * and `Accept-Ranges` headers and a `Range` header (honouring `If-Range`)
+ * of GET requests is answered with `206 Partial Content`.
+ *
+ * The `http` settings of the returns descriptor can configure
+ * `disposition` (`inline` or `attachment`), `filename`, `ranges: false`
+ * to disable range requests and `contentLength: false` to omit
+ * the `Content-Length` header.
+ *
+ * @param {*} data The file value.
+ * @param {Function} cb
+ */
+
+HttpContext.prototype.respondWithFile = function(data, cb) {
+  const req = this.req;
+  const res = this.res;
+  const http = getFileReturnSettings(this.method);
+  const source = toFileSource(data);
+
+  if (!source) {
+    const valueType = SharedMethod.getType(data);
+    const msg = g.f('Cannot create a file response from %s ', valueType);
+    return cb(new Error(msg));
+  }
+
+  const filename = source.filename || http.filename;
+  if (http.disposition || filename) {
+    res.set('Content-Disposition', contentDisposition(filename, {
+      type: http.disposition || 'attachment',
+    }));
+  }
+
+  const size = source.size;
+  if (typeof size !== 'number') {
+    source.send(res);
+    return cb();
+  }
+
+  const acceptRanges = http.ranges !== false;
+  if (acceptRanges) {
+    res.set('Accept-Ranges', 'bytes');
+  }
+
+  let start = 0;
+  let end = size - 1;
+  const isRangeRequest = acceptRanges && req.get('Range') &&
+    (req.method === 'GET' || req.method === 'HEAD') &&
+    res.statusCode === 200 && isRangeFresh(req, res);
+  // -2 (malformed header) and ranges of other units are ignored
+  const ranges = isRangeRequest ? req.range(size, {combine: true}) : undefined;
+
+  if (ranges === -1) {
+    debug('unsatisfiable range %j of %d bytes', req.get('Range'), size);
+    res.status(416);
+    res.set('Content-Range', 'bytes */' + size);
+    res.end();
+    source.discard();
+    return cb();
+  }
+
+  // multiple ranges are not supported, the full content is sent instead
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    start = ranges[0].start;
+    end = ranges[0].end;
+    res.status(206);
+    res.set('Content-Range', 'bytes ' + start + '-' + end + '/' + size);
+  }
+
+  if (http.contentLength !== false) {
+    res.set('Content-Length', String(end - start + 1));
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    source.discard();
+  } else {
+    source.send(res, start, end);
+  }
+  cb();
+};
+
+function getFileReturnSettings(method) {
+  const desc = method.returns.filter(function(item) {
+    return item.root;
+  })[0];
+  return desc && desc.http || {};
+}
+
+function toFileSource(data) {
+  if (typeof data === 'string') {
+    data = Buffer.from(data);
+  }
+
+  if (Buffer.isBuffer(data)) {
+    return {
+      size: data.length,
+      send: function(res, start, end) {
+        res.end(start === undefined ? data : data.slice(start, end + 1));
+      },
+      discard: function() {},
+    };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  if (typeof data.createReadStream === 'function' &&
+      typeof data.size === 'number') {
+    return {
+      size: data.size,
+      filename: data.filename,
+      send: function(res, start, end) {
+        data.createReadStream({start: start, end: end}).pipe(res);
+      },
+      // no stream is open until send() is called
+      discard: function() {},
+    };
+  }
+
+  if (typeof data.pipe === 'function') {
+    const size = typeof data.size === 'number' ? data.size : data.length;
+    return {
+      size: typeof size === 'number' ? size : undefined,
+      send: function(res, start, end) {
+        const isPartial = start !== undefined &&
+          (start > 0 || end < size - 1);
+        if (isPartial) {
+          data.pipe(sliceStream(start, end)).pipe(res);
+        } else {
+          data.pipe(res);
+        }
+      },
+      discard: function() {
+        closeStream(data);
+      },
+    };
+  }
+
+  return null;
+}
+
+// release resources (e.g. file descriptors) of streams not sent
+function closeStream(stream) {
+  if (typeof stream.destroy === 'function') {
+    stream.destroy();
+  } else if (typeof stream.close === 'function') {
+    stream.close();
+  }
+}
+
+function sliceStream(start, end) {
+  let offset = 0;
+  return new Transform({
+    transform: function(chunk, encoding, cb) {
+      const chunkStart = offset;
+      offset += chunk.length;
+      if (offset <= start || chunkStart > end) return cb();
+      cb(null, chunk.slice(Math.max(start - chunkStart, 0),
+        end - chunkStart + 1));
+    },
+  });
+}
+
+function isRangeFresh(req, res) {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+
+  // If-Range contains either an entity tag or a date
+  if (ifRange.indexOf('"') !== -1) {
+    // weak entity tags cannot be used for range requests
+    const etag = res.get('ETag');
+    return !!etag && !/^W\//.test(etag) && ifRange.indexOf(etag) !== -1;
+  }
+
+  const lastModified = Date.parse(res.get('Last-Modified'));
+  return !isNaN(lastModified) && lastModified <= Date.parse(ifRange);
+}
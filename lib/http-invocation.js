@@ -22,6 +22,7 @@ const path = require('path');
 const assert = require('assert');
 const request = require('request');
 const ContextBase = require('./context-base');
+const problemDetails = require('./problem-details');
 const SUPPORTED_TYPES = ['json', 'application/javascript', 'text/javascript'];
 const qs = require('qs');
 const urlUtil = require('url');
@@ -87,8 +88,14 @@ inherits(HttpInvocation, EventEmitter);
  */
 
 HttpInvocation.isAcceptable = function(val, accept) {
-  const acceptArray = Array.isArray(accept.type) || accept.type.toLowerCase() === 'array';
-  const type = acceptArray ? 'array' : accept.type && accept.type.toLowerCase();
+  let acceptType = accept.type;
+  if (acceptType && typeof acceptType === 'object' && !Array.isArray(acceptType)) {
+    // inline object definition, e.g. `{name: 'string'}`
+    acceptType = 'object';
+  }
+  const acceptArray = Array.isArray(acceptType) ||
+    String(acceptType).toLowerCase() === 'array';
+  const type = acceptArray ? 'array' : acceptType && acceptType.toLowerCase();
   const strict = type && type !== 'any';
 
   if (acceptArray) {
@@ -312,7 +319,9 @@ HttpInvocation.prototype.transformResponse = function(res, body, callback) {
   const hasError = res.statusCode >= 400;
 
   if (hasError) {
-    if (isObject && body.error) {
+    if (isObject && isProblemDetails(res)) {
+      err = problemDetails.toError(body, res.statusCode);
+    } else if (isObject && body.error) {
       err = new Error(body.error.message);
       /* eslint-disable one-var */
       for (const key in body.error) {
@@ -336,6 +345,12 @@ HttpInvocation.prototype.transformResponse = function(res, body, callback) {
 
     const val = ret.root ? res.body : res.body[name];
 
+    if (String(type).toLowerCase() === 'file') {
+      // file contents are passed through as received
+      callbackArgs.push(val);
+      continue;
+    }
+
     const converter = this.typeRegistry.getConverter(type);
     const result = converter.fromTypedValue(this.context, val);
     debug('return arg %j: converted %j to %j', name, val, result);
@@ -352,3 +367,11 @@ HttpInvocation.prototype.transformResponse = function(res, body, callback) {
 
   callback.apply(this, callbackArgs);
 };
+
+/*!
+ * Check whether the response describes the error as RFC 7807 problem details.
+ */
+function isProblemDetails(res) {
+  const contentType = res.headers && res.headers['content-type'];
+  return contentType && contentType.indexOf(problemDetails.CONTENT_TYPE) === 0;
+}
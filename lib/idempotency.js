@@ -0,0 +1,296 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const crypto = require('crypto');
+const debug = require('debug')('strong-remoting:idempotency');
+const g = require('strong-globalize')();
+const UploadedFile = require('./uploaded-file');
+
+module.exports = {
+  createMiddleware: createMiddleware,
+  MemoryStore: MemoryStore,
+};
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// headers describing the connection, not the response
+const SKIPPED_HEADERS = [
+  'connection', 'date', 'keep-alive', 'transfer-encoding',
+];
+
+const defaultStores = new WeakMap();
+
+/**
+ * Create a middleware replaying responses of requests repeated with the same
+ * `Idempotency-Key` header.
+ *
+ * The first successful (2xx) response of the key (status, headers and body)
+ * is stored and sent again for retries with the same request payload,
+ * the replayed response has `Idempotent-Replayed: true` header.
+ * Retries with a different payload are rejected with `422` error,
+ * retries while the first request is in progress with `409` error.
+ * Keys of failed requests are released, so that the request can be retried.
+ * Responses with a body larger than `maxBodySize` are not stored either.
+ *
+ * Keys are scoped by the method and by the client: the user authenticated
+ * via `req.accessToken` or, for anonymous requests, the IP address
+ * of the client (`req.ip`). Anonymous clients behind the same proxy share
+ * the address of the proxy and thus their keys, unless the `trust proxy`
+ * setting of the express application is configured to take the address
+ * from `X-Forwarded-For` header. Requests without `Idempotency-Key` header
+ * are not affected.
+ *
+ * The payload of a request (the method, URL and body, including the contents
+ * of uploaded files) is compared by its SHA-256 hash.
+ *
+ * The middleware runs before the phases of the invocation, replayed
+ * responses bypass remote hooks and the `auth` phase (including rate limits
+ * and authorization checks) of the retried request.
+ *
+ * @param {SharedMethod} sharedMethod
+ * @param {RemoteObjects} remotes
+ * @options {Object} [options] Set via `remotes.options.idempotency`.
+ * @property {Object} [store] The store of responses, see `MemoryStore`.
+ * @property {Number} [ttl] How long to keep the responses in milliseconds,
+ *   default to 24 hours.
+ * @property {Number} [maxEntries] Max number of keys kept by the default
+ *   `MemoryStore`, default 1000.
+ * @property {Number} [maxBodySize] Max size of a stored response body
+ *   in bytes, default 1MB.
+ * @returns {Function}
+ */
+
+function createMiddleware(sharedMethod, remotes, options) {
+  options = options || {};
+  const ttl = options.ttl || DEFAULT_TTL;
+  const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+
+  return function idempotency(req, res, next) {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey) return next();
+
+    const store = options.store || getDefaultStore(remotes, options);
+    const key = [sharedMethod.stringName, getClientKey(req), idempotencyKey]
+      .join(':');
+    const fingerprint = getFingerprint(req);
+
+    store.begin(key, fingerprint, ttl, function(err, record) {
+      if (err) return next(err);
+
+      if (!record) {
+        debug('%s: processing the request', key);
+        captureResponse(key, store, res, maxBodySize);
+        return next();
+      }
+
+      if (record.fingerprint !== fingerprint) {
+        return next(idempotencyError(422, 'IDEMPOTENCY_KEY_MISMATCH',
+          g.f('The {{Idempotency-Key}} was already used with ' +
+            'a different request.')));
+      }
+
+      if (!record.response) {
+        return next(idempotencyError(409, 'IDEMPOTENCY_KEY_IN_USE',
+          g.f('A request with the same {{Idempotency-Key}} ' +
+            'is still in progress.')));
+      }
+
+      debug('%s: replaying the response', key);
+      replayResponse(res, record.response);
+    });
+  };
+}
+
+function getClientKey(req) {
+  const token = req.accessToken;
+  if (token && token.userId !== undefined) return 'user:' + token.userId;
+  return 'ip:' + (req.ip || req.connection && req.connection.remoteAddress);
+}
+
+function getDefaultStore(remotes, options) {
+  let store = defaultStores.get(remotes);
+  if (!store) {
+    store = new MemoryStore({maxEntries: options.maxEntries});
+    defaultStores.set(remotes, store);
+  }
+  return store;
+}
+
+function getFingerprint(req) {
+  const payload = JSON.stringify([req.method, req.originalUrl, req.body]);
+  const hash = crypto.createHash('sha256').update(payload);
+  // the JSON of uploaded files does not include their contents
+  eachUploadedFile(req.body, function(file) {
+    hash.update(file.buffer);
+  });
+  return hash.digest('base64');
+}
+
+function eachUploadedFile(body, fn) {
+  if (!body || typeof body !== 'object') return;
+  Object.keys(body).forEach(function(name) {
+    [].concat(body[name]).forEach(function(value) {
+      if (value instanceof UploadedFile) fn(value);
+    });
+  });
+}
+
+function captureResponse(key, store, res, maxBodySize) {
+  const chunks = [];
+  const write = res.write;
+  const end = res.end;
+  let finished = false;
+  let bodySize = 0;
+
+  res.write = function(chunk, encoding) {
+    collect(chunk, encoding);
+    return write.apply(this, arguments);
+  };
+
+  res.end = function(chunk, encoding) {
+    collect(chunk, encoding);
+    return end.apply(this, arguments);
+  };
+
+  res.on('finish', function() {
+    finished = true;
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      debug('%s: releasing the key of failed request', key);
+      return store.remove(key, reportStoreError);
+    }
+
+    if (bodySize > maxBodySize) {
+      debug('%s: releasing the key of too large response', key);
+      return store.remove(key, reportStoreError);
+    }
+
+    const headers = {};
+    const names = res.getHeaderNames();
+    names.forEach(function(name) {
+      if (SKIPPED_HEADERS.indexOf(name) === -1)
+        headers[name] = res.getHeader(name);
+    });
+
+    store.complete(key, {
+      statusCode: res.statusCode,
+      headers: headers,
+      body: Buffer.concat(chunks),
+    }, reportStoreError);
+  });
+
+  res.on('close', function() {
+    if (finished) return;
+    debug('%s: releasing the key of aborted request', key);
+    store.remove(key, reportStoreError);
+  });
+
+  function collect(chunk, encoding) {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function')
+      return;
+    if (!Buffer.isBuffer(chunk)) {
+      chunk = Buffer.from(String(chunk),
+        typeof encoding === 'string' ? encoding : 'utf8');
+    }
+    bodySize += chunk.length;
+    // stop keeping the chunks of responses that will not be stored
+    if (bodySize > maxBodySize) chunks.length = 0;
+    else chunks.push(chunk);
+  }
+}
+
+function reportStoreError(err) {
+  if (err) g.warn('Cannot update the idempotency store: %s', err.message);
+}
+
+function replayResponse(res, response) {
+  res.status(response.statusCode);
+  Object.keys(response.headers).forEach(function(name) {
+    res.setHeader(name, response.headers[name]);
+  });
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.end(response.body);
+}
+
+function idempotencyError(statusCode, code, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Responses kept in memory of the process, for applications running
+ * a single process. A store shared by multiple processes must implement
+ * the same interface:
+ *
+ *  - `begin(key, fingerprint, ttl, cb)` atomically creates a pending record
+ *    of the key unless there is one and calls `cb(err, record)` with
+ *    the existing record `{fingerprint, response}` or `undefined` when
+ *    the record was created.
+ *  - `complete(key, response, cb)` stores the response of the key.
+ *  - `remove(key, cb)` deletes the record of the key.
+ *
+ * When the store is full, the oldest keys are removed first.
+ *
+ * @class
+ * @options {Object} [options]
+ * @property {Number} [maxEntries] Max number of keys, default 1000.
+ */
+
+function MemoryStore(options) {
+  options = options || {};
+  this._records = new Map();
+  this._nextCleanup = 0;
+  this._maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+}
+
+MemoryStore.prototype.begin = function(key, fingerprint, ttl, cb) {
+  const now = Date.now();
+  if (now >= this._nextCleanup) this._removeExpired(now, ttl);
+
+  const record = this._records.get(key);
+  const isValid = record && record.expires > now;
+  if (!isValid) {
+    // re-insert the key to keep the records ordered by age
+    this._records.delete(key);
+    this._records.set(key, {
+      fingerprint: fingerprint,
+      response: undefined,
+      expires: now + ttl,
+    });
+    this._removeOldest();
+  }
+
+  process.nextTick(function() { cb(null, isValid ? record : undefined); });
+};
+
+MemoryStore.prototype.complete = function(key, response, cb) {
+  const record = this._records.get(key);
+  if (record) record.response = response;
+  process.nextTick(cb);
+};
+
+MemoryStore.prototype.remove = function(key, cb) {
+  this._records.delete(key);
+  process.nextTick(cb);
+};
+
+MemoryStore.prototype._removeOldest = function() {
+  const keys = this._records.keys();
+  while (this._records.size > this._maxEntries) {
+    this._records.delete(keys.next().value);
+  }
+};
+
+MemoryStore.prototype._removeExpired = function(now, ttl) {
+  this._records.forEach(function(record, key, map) {
+    if (record.expires <= now) map.delete(key);
+  });
+  this._nextCleanup = now + ttl;
+};
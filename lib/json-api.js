@@ -0,0 +1,261 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const debug = require('debug')('strong-remoting:json-api');
+const g = require('strong-globalize')();
+const STATUS_CODES = require('http').STATUS_CODES;
+
+const CONTENT_TYPE = 'application/vnd.api+json';
+
+module.exports = {
+  CONTENT_TYPE: CONTENT_TYPE,
+  isJsonApiRequest: isJsonApiRequest,
+  bodyUnwrapper: bodyUnwrapper,
+  toDocument: toDocument,
+  errorHandler: errorHandler,
+};
+
+/**
+ * Check whether the client of the request prefers JSON:API responses.
+ *
+ * @param {Request} req
+ * @returns {Boolean}
+ */
+
+function isJsonApiRequest(req) {
+  return req.accepts(['application/json', CONTENT_TYPE]) === CONTENT_TYPE;
+}
+
+/**
+ * Create a middleware converting JSON:API request documents to plain
+ * objects: `{data: {id, attributes}}` becomes `{id, ...attributes}`,
+ * to-one relationships `{author: {data: {id}}}` become `authorId`.
+ *
+ * @returns {Function}
+ */
+
+function bodyUnwrapper() {
+  return function unwrapJsonApiBody(req, res, next) {
+    if (!req.is(CONTENT_TYPE)) return next();
+
+    const body = req.body;
+    // e.g. DELETE requests without payload
+    if (isEmptyObject(body)) return next();
+
+    if (!body || typeof body !== 'object' || !('data' in body)) {
+      const err = new Error(g.f('The JSON:API document must have ' +
+        'the top-level member {{data}}.'));
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    req.jsonApiBody = body;
+    req.body = Array.isArray(body.data) ?
+      body.data.map(fromResource) : fromResource(body.data);
+    next();
+  };
+}
+
+function isEmptyObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 0;
+}
+
+function fromResource(resource) {
+  if (!resource || typeof resource !== 'object') return resource;
+
+  const result = Object.assign({}, resource.attributes);
+  if (resource.id !== undefined) result.id = resource.id;
+
+  const relationships = resource.relationships || {};
+  Object.keys(relationships).forEach(function(name) {
+    const linkage = relationships[name] && relationships[name].data;
+    if (linkage && !Array.isArray(linkage) && linkage.id !== undefined)
+      result[name + 'Id'] = linkage.id;
+  });
+  return result;
+}
+
+/**
+ * Build the JSON:API document describing the result of the method invoked
+ * by the context.
+ *
+ * The value of the root return argument becomes primary data, resources
+ * have the type of the shared class name. Properties holding related
+ * models (LoopBack relations included via `include` filter) are sent as
+ * relationships and `included` resources. Other results (e.g. multiple
+ * return arguments) are sent as `meta`, values other than objects
+ * as `meta.value`.
+ *
+ * @param {HttpContext} ctx
+ * @param {*} data The result of the method.
+ * @returns {Object}
+ */
+
+function toDocument(ctx, data) {
+  const method = ctx.method;
+  const root = method.returns.filter(function(desc) { return desc.root; })[0];
+  const doc = {jsonapi: {version: '1.0'}};
+
+  if (!root || !isResourceType(root.type)) {
+    // meta must be an object
+    const isObject = typeof data === 'object' && data !== null &&
+      !Array.isArray(data);
+    doc.meta = isObject ? data : {value: data};
+    return doc;
+  }
+
+  const sharedClass = method.sharedClass || {};
+  const builder = new DocumentBuilder(sharedClass.name, sharedClass.ctor);
+  doc.data = Array.isArray(data) ?
+    data.map(function(item) { return builder.toResource(item); }) :
+    builder.toResource(data);
+
+  if (builder.included.length) doc.included = builder.included;
+  doc.links = {self: ctx.req.originalUrl};
+  return doc;
+}
+
+function isResourceType(type) {
+  if (Array.isArray(type)) return isResourceType(type[0]);
+  if (typeof type === 'object' && type !== null) return true;
+  const name = String(type).toLowerCase();
+  return ['string', 'number', 'integer', 'boolean', 'date', 'buffer',
+    'file'].indexOf(name) === -1;
+}
+
+function DocumentBuilder(type, ctor) {
+  this.type = type;
+  this.ctor = ctor;
+  this.included = [];
+  this._includedKeys = {};
+}
+
+DocumentBuilder.prototype.toResource = function(value, type, ctor) {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toJSON === 'function') value = value.toJSON();
+  if (typeof value !== 'object') return value;
+
+  type = type || this.type;
+  ctor = ctor || this.ctor;
+  const idName = ctor && typeof ctor.getIdName === 'function' ?
+    ctor.getIdName() : 'id';
+  const relations = ctor && ctor.relations || {};
+  const resource = {type: type};
+  const attributes = {};
+  const relationships = {};
+
+  if (value[idName] !== undefined && value[idName] !== null)
+    resource.id = String(value[idName]);
+
+  Object.keys(value).forEach(function(key) {
+    if (key === idName) return;
+    const relation = relations[key];
+    if (relation && typeof value[key] === 'object') {
+      relationships[key] = {data: this._link(value[key], relation)};
+      return;
+    }
+    attributes[key] = value[key];
+  }, this);
+
+  resource.attributes = attributes;
+  if (Object.keys(relationships).length)
+    resource.relationships = relationships;
+  return resource;
+};
+
+DocumentBuilder.prototype._link = function(value, relation) {
+  const modelTo = relation.modelTo;
+  const type = modelTo && modelTo.modelName || relation.name;
+
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return this._link(item, relation);
+    }, this);
+  }
+
+  const resource = this.toResource(value, type, modelTo);
+  if (!resource || resource.id === undefined) return null;
+
+  const key = resource.type + ':' + resource.id;
+  if (!this._includedKeys[key]) {
+    this._includedKeys[key] = true;
+    this.included.push(resource);
+  }
+  return {type: resource.type, id: resource.id};
+};
+
+/**
+ * Create an error handler sending JSON:API error documents to clients
+ * preferring JSON:API responses. Other requests are passed to the next
+ * error handler.
+ *
+ * @options {Object} [options] The `errorHandler` options of remotes.
+ * @property {Boolean} [debug] Include error details of `5xx` errors
+ *   and stack traces.
+ * @returns {Function}
+ */
+
+function errorHandler(options) {
+  options = options || {};
+
+  return function jsonApiErrorHandler(err, req, res, next) {
+    if (!isJsonApiRequest(req) || res.headersSent) return next(err);
+
+    const status = err.statusCode || err.status || 500;
+    debug('sending JSON:API error %s: %s', status, err.message);
+
+    const errors = Array.isArray(err.details) && err.code === 'INVALID_ARGUMENTS' ?
+      err.details.map(function(detail) {
+        return toErrorObject(err, status, options, detail);
+      }) :
+      [toErrorObject(err, status, options)];
+
+    res.status(status);
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(Buffer.from(JSON.stringify({
+      jsonapi: {version: '1.0'},
+      errors: errors,
+    })));
+  };
+}
+
+function toErrorObject(err, status, options, detail) {
+  const isServerError = status >= 500;
+  const error = {
+    status: String(status),
+    title: STATUS_CODES[status] || err.name,
+  };
+  if (err.code) error.code = String(err.code);
+
+  if (detail) {
+    error.detail = detail.message;
+    error.source = toErrorSource(detail);
+  } else if (!isServerError || options.debug) {
+    error.detail = err.message;
+  }
+
+  if (options.debug) {
+    error.meta = {name: err.name, stack: err.stack};
+  }
+  return error;
+}
+
+function toErrorSource(detail) {
+  if (detail.source !== 'body' && detail.source !== 'form') {
+    return {parameter: detail.name};
+  }
+
+  // the argument accepting the whole body maps to all attributes
+  const path = detail.source === 'form' ? [detail.name] : [];
+  if (detail.propertyPath !== undefined) {
+    const propertyPath = detail.propertyPath
+      .replace(/\[(\d+)\]/g, '.$1').replace(/^\./, '');
+    Array.prototype.push.apply(path, propertyPath.split('.'));
+  }
+  return {pointer: ['/data/attributes'].concat(path).join('/')};
+}
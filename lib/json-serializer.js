@@ -0,0 +1,153 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const debug = require('debug')('strong-remoting:json-serializer');
+const InlineObjectConverter = require('./types/inline-object');
+
+module.exports = {
+  forMethod: forMethod,
+  compileType: compileType,
+};
+
+// return args sent via response headers or status are not part of the body
+const HTTP_TARGETS = ['status', 'header', 'etag', 'lastModified'];
+
+const serializers = new WeakMap();
+
+/**
+ * Get a function serializing the result of the given method to JSON,
+ * compiled from the types declared by `returns`.
+ *
+ * Values matching the declared type are serialized without the generic
+ * `JSON.stringify()` walk. Properties not described by inline object
+ * definitions are omitted. Values of other types (`any`, `object`, model
+ * types) and values not matching the declared type are serialized
+ * by `JSON.stringify()`.
+ *
+ * Serializers are cached per method and compiled again when the method's
+ * `returns` change.
+ *
+ * @param {SharedMethod} method
+ * @returns {Function} The function `serialize(result) -> String`.
+ */
+
+function forMethod(method) {
+  const returns = method.returns;
+  const cached = serializers.get(method);
+  if (cached && cached.returns === returns &&
+      cached.length === returns.length) {
+    return cached.serialize;
+  }
+
+  debug('compiling JSON serializer of %s', method.stringName);
+  const serialize = compileResult(returns);
+  serializers.set(method, {
+    returns: returns,
+    length: returns.length,
+    serialize: serialize,
+  });
+  return serialize;
+}
+
+function compileResult(returns) {
+  const root = returns.filter(function(desc) { return desc.root; })[0];
+  if (root) return compileType(root.type);
+
+  const properties = {};
+  returns.forEach(function(desc) {
+    const target = desc.http && desc.http.target;
+    if (HTTP_TARGETS.indexOf(target) !== -1) return;
+    properties[desc.name || desc.arg] = desc.type;
+  });
+  return compileObject(properties);
+}
+
+/**
+ * Compile a serializer for the given remoting type.
+ *
+ * @param {String|Array|Object} type
+ * @returns {Function} The function `serialize(value) -> String|undefined`.
+ */
+
+function compileType(type) {
+  if (Array.isArray(type)) return compileArray(type[0] || 'any');
+
+  const isInlineObject = typeof type === 'object' && type !== null &&
+    Object.getPrototypeOf(type) === Object.prototype;
+  if (isInlineObject) return compileObject(type);
+
+  switch (String(type).toLowerCase()) {
+    case 'number':
+    case 'integer':
+      return function serializeNumber(value) {
+        if (typeof value !== 'number') return JSON.stringify(value);
+        return isFinite(value) ? String(value) : 'null';
+      };
+    case 'boolean':
+      return function serializeBoolean(value) {
+        if (typeof value !== 'boolean') return JSON.stringify(value);
+        return value ? 'true' : 'false';
+      };
+    case 'array':
+      return compileArray('any');
+    default:
+      // the structure of other types is not known
+      return serializeAny;
+  }
+}
+
+function compileArray(itemType) {
+  const serializeItem = compileType(itemType);
+  if (serializeItem === serializeAny) return serializeAny;
+
+  return function serializeArray(value) {
+    if (!Array.isArray(value)) return JSON.stringify(value);
+
+    let json = '[';
+    for (let i = 0, n = value.length; i < n; i++) {
+      if (i) json += ',';
+      const item = serializeItem(value[i]);
+      json += item === undefined ? 'null' : item;
+    }
+    return json + ']';
+  };
+}
+
+function compileObject(definition) {
+  const properties = Object.keys(definition).map(function(name) {
+    let type = definition[name];
+    if (InlineObjectConverter.isPropertyDefinition(type)) type = type.type;
+    return {
+      prefix: JSON.stringify(name) + ':',
+      name: name,
+      serialize: compileType(type),
+    };
+  });
+
+  return function serializeObject(value) {
+    if (isPlainValue(value) && typeof value.toJSON === 'function')
+      value = value.toJSON();
+    if (!isPlainValue(value)) return JSON.stringify(value);
+
+    let json = '';
+    for (let i = 0, n = properties.length; i < n; i++) {
+      const property = properties[i];
+      const propValue = property.serialize(value[property.name]);
+      if (propValue === undefined) continue;
+      json += (json ? ',' : '') + property.prefix + propValue;
+    }
+    return '{' + json + '}';
+  };
+}
+
+function isPlainValue(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function serializeAny(value) {
+  return JSON.stringify(value);
+}
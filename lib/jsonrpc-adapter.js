@@ -23,6 +23,7 @@ const jayson = require('jayson');
 const express = require('express');
 const bodyParser = require('body-parser');
 const HttpContext = require('./http-context');
+const ContextBase = require('./context-base');
 
 const json = bodyParser.json;
 const urlencoded = bodyParser.urlencoded;
@@ -108,9 +109,14 @@ JsonRpcAdapter.errorHandler = function() {
 // that causes a whole world of trouble when we run strong-remoting's unit tests
 // with code coverage.
 const mockWrapper = [
-  'function mockWrapper(method) {',
+  'function mockWrapper(method, applyArgDefaults) {',
   '  return function(__args__) {',
   '    var args = Array.prototype.slice.call(arguments);',
+  '    try {',
+  '      args = applyArgDefaults(method, args);',
+  '    } catch (err) {',
+  '      return args[args.length - 1](err);',
+  '    }',
   '    if (method.isStatic) {',
   '      method.getFunction().apply(method.ctor, args);',
   '    } else {',
@@ -137,6 +143,27 @@ JsonRpcAdapter.prototype.createHandler = function() {
 
   const root = express.Router();
   const classes = this.remotes.classes();
+  const typeRegistry = this.remotes._typeRegistry;
+
+  // Positional arguments are followed by the callback
+  function applyArgDefaults(method, args) {
+    const accepts = method.accepts || [];
+    if (!accepts.some(function(arg) { return arg.default !== undefined; })) {
+      return args;
+    }
+
+    const cb = args.pop();
+    const namedArgs = {};
+    accepts.forEach(function(arg, ix) {
+      namedArgs[arg.name || arg.arg] = args[ix];
+    });
+
+    method.applyArgDefaults(namedArgs, new ContextBase(method, typeRegistry));
+
+    return accepts.map(function(arg) {
+      return namedArgs[arg.name || arg.arg];
+    }).concat([cb]);
+  }
 
   // Add a handler to tolerate empty json as connect's json middleware throws an error
   root.use(function(req, res, next) {
@@ -190,11 +217,12 @@ JsonRpcAdapter.prototype.createHandler = function() {
       // Generate the function based on the wrapper
       // We need to remove the header/footer to get the function body
       const funcBody = mockWrapper.toString().
-        replace('function mockWrapper(method) {', '').
+        replace('function mockWrapper(method, applyArgDefaults) {', '').
         replace('__args__', argsNames).
         replace(/}$/, '');
       /* jslint evil: true */
-      const fn = new Function('method', funcBody)(method);
+      const wrap = new Function('method', 'applyArgDefaults', funcBody);
+      const fn = wrap(method, applyArgDefaults);
       if (debug.enabled) {
         debug('Generated function: %s', fn.toString());
       }
@@ -0,0 +1,182 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const createBusboy = require('busboy');
+const debug = require('debug')('strong-remoting:multipart');
+const g = require('strong-globalize')();
+const UploadedFile = require('./uploaded-file');
+
+// Files are buffered in memory, keep them bounded unless configured otherwise
+const DEFAULT_LIMITS = Object.freeze({
+  fileSize: 10 * 1024 * 1024,
+  files: 10,
+  parts: 100,
+});
+
+module.exports = {
+  hasFileArgs: hasFileArgs,
+  createParser: createParser,
+};
+
+/**
+ * Check whether the method accepts files uploaded via multipart requests.
+ *
+ * @param {SharedMethod} sharedMethod
+ * @returns {Boolean}
+ */
+
+function hasFileArgs(sharedMethod) {
+  return sharedMethod.accepts.some(function(accept) {
+    const type = Array.isArray(accept.type) ? accept.type[0] : accept.type;
+    return String(type).toLowerCase() === 'file';
+  });
+}
+
+/**
+ * Create a middleware parsing `multipart/form-data` requests.
+ *
+ * Form fields are stored in `req.body` as strings (an array of strings
+ * when the field is repeated), files are stored as `UploadedFile` instances.
+ *
+ * @options {Object} [limits] Limits of the request, exceeding a limit
+ *   is reported as `413 Payload Too Large`.
+ * @property {Number} [fileSize] Max size of a file in bytes, default 10MB.
+ * @property {Number} [files] Max number of files, default 10.
+ * @property {Number} [fields] Max number of non-file fields.
+ * @property {Number} [fieldSize] Max size of a field value in bytes.
+ * @property {Number} [parts] Max number of parts (fields and files),
+ *   default 100.
+ * @returns {Function}
+ */
+
+function createParser(limits) {
+  limits = Object.assign({}, DEFAULT_LIMITS, limits);
+
+  return function parseMultipart(req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+
+    let busboy;
+    try {
+      busboy = createBusboy({headers: req.headers, limits: limits});
+    } catch (err) {
+      debug('Cannot parse multipart request: %s', err);
+      return next(badRequestError(err.message));
+    }
+
+    const body = req.body = req.body || {};
+    let finished = false;
+    let pending = 0;
+    let parsed = false;
+
+    function finish(err) {
+      if (finished) return;
+      finished = true;
+      if (err) {
+        req.unpipe(busboy);
+        // drain the request so that the error response can be sent
+        req.resume();
+      }
+      next(err);
+    }
+
+    function tryFinish() {
+      if (parsed && !pending) finish();
+    }
+
+    busboy.on('field', function(name, value, info) {
+      if (info.valueTruncated) {
+        return finish(limitError('LIMIT_FIELD_SIZE',
+          g.f('Value of the field %j is too large.', name)));
+      }
+      addValue(body, name, value);
+    });
+
+    busboy.on('file', function(name, stream, info) {
+      const filename = info.filename;
+      if (finished || !filename) {
+        // browsers send empty parts for file inputs with no file selected
+        stream.resume();
+        return;
+      }
+
+      const chunks = [];
+      pending++;
+
+      stream.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+
+      stream.on('limit', function() {
+        finish(limitError('LIMIT_FILE_SIZE',
+          g.f('The file %j is too large.', filename)));
+      });
+
+      stream.on('end', function() {
+        pending--;
+        if (finished) return;
+        addValue(body, name, new UploadedFile({
+          fieldname: name,
+          filename: filename,
+          encoding: info.encoding,
+          mimetype: info.mimeType,
+          buffer: Buffer.concat(chunks),
+        }));
+        tryFinish();
+      });
+    });
+
+    busboy.on('filesLimit', function() {
+      finish(limitError('LIMIT_FILE_COUNT', g.f('Too many files.')));
+    });
+
+    busboy.on('fieldsLimit', function() {
+      finish(limitError('LIMIT_FIELD_COUNT', g.f('Too many fields.')));
+    });
+
+    busboy.on('partsLimit', function() {
+      finish(limitError('LIMIT_PART_COUNT', g.f('Too many parts.')));
+    });
+
+    busboy.on('error', function(err) {
+      debug('Cannot parse multipart request: %s', err);
+      finish(badRequestError(err.message));
+    });
+
+    busboy.on('close', function() {
+      parsed = true;
+      tryFinish();
+    });
+
+    req.pipe(busboy);
+  };
+}
+
+function addValue(body, name, value) {
+  if (name === '__proto__') return;
+
+  if (!Object.prototype.hasOwnProperty.call(body, name)) {
+    body[name] = value;
+  } else if (Array.isArray(body[name])) {
+    body[name].push(value);
+  } else {
+    body[name] = [body[name], value];
+  }
+}
+
+function limitError(code, msg) {
+  const err = new Error(msg);
+  err.statusCode = 413;
+  err.code = code;
+  return err;
+}
+
+function badRequestError(reason) {
+  const err = new Error(g.f('Cannot parse {{multipart/form-data}} ' +
+    'request. %s', reason));
+  err.statusCode = 400;
+  return err;
+}
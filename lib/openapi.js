@@ -0,0 +1,868 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const g = require('strong-globalize')();
+
+/*!
+ * Module dependencies.
+ */
+const debug = require('debug')('strong-remoting:openapi');
+const assert = require('assert');
+const SharedClass = require('./shared-class');
+const constraints = require('./argument-constraints');
+
+/*!
+ * Constants
+ */
+const OPENAPI_VERSION = '3.0.0';
+const BUILTIN_SCHEMAS = {
+  any: {},
+  string: {type: 'string'},
+  number: {type: 'number'},
+  integer: {type: 'integer'},
+  boolean: {type: 'boolean'},
+  object: {type: 'object'},
+  date: {type: 'string', format: 'date-time'},
+  buffer: {type: 'string', format: 'byte'},
+  file: {type: 'string', format: 'binary'},
+  geopoint: {
+    type: 'object',
+    properties: {
+      lat: {type: 'number'},
+      lng: {type: 'number'},
+    },
+  },
+};
+const COMPUTED_SOURCES = ['req', 'res', 'context'];
+const HTTP_VERBS = [
+  'get', 'put', 'post', 'delete', 'options', 'head', 'patch',
+];
+const PARAMETER_SOURCES = ['path', 'query', 'header'];
+const FORM_CONTENT_TYPES = [
+  'application/x-www-form-urlencoded',
+  'multipart/form-data',
+];
+
+module.exports = {
+  generateSpec: generateSpec,
+  typeToSchema: typeToSchema,
+  createSharedClasses: createSharedClasses,
+  schemaToType: schemaToType,
+};
+
+/**
+ * Build an OpenAPI 3.x document describing all routes of the given REST
+ * adapter.
+ *
+ * Methods with `documented: false` are excluded from the document.
+ *
+ * @param {RestAdapter} adapter The REST adapter to describe.
+ * @options {Object} [options]
+ * @property {String} [title] The API title, defaults to `"strong-remoting"`.
+ * @property {String} [version] The API version, defaults to `"1.0.0"`.
+ * @property {String} [description] The API description.
+ * @property {String} [basePath] The path where the REST handler is mounted.
+ * @property {Array} [servers] OpenAPI `servers` entries, take precedence
+ *   over `basePath`.
+ * @property {Object} [schemas] Schemas of custom types (models), keyed by
+ *   the type name.
+ * @end
+ * @returns {Object} The OpenAPI document.
+ */
+function generateSpec(adapter, options) {
+  options = options || {};
+  const components = {schemas: {}};
+  const spec = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: options.title || 'strong-remoting',
+      version: options.version || '1.0.0',
+    },
+    tags: [],
+    paths: {},
+    components: components,
+  };
+
+  if (options.description) {
+    spec.info.description = options.description;
+  }
+
+  if (options.servers) {
+    spec.servers = options.servers;
+  } else if (options.basePath) {
+    spec.servers = [{url: options.basePath}];
+  }
+
+  const restMethods = {};
+  adapter.getClasses().forEach(function(restClass) {
+    spec.tags.push({name: restClass.name});
+    restClass.methods.forEach(function(restMethod) {
+      restMethods[restMethod.fullName] = restMethod;
+    });
+  });
+
+  const operationIds = {};
+  adapter.allRoutes().forEach(function(route) {
+    if (route.documented === false) return;
+
+    const restMethod = restMethods[route.method];
+    const sharedMethod = restMethod && restMethod.sharedMethod;
+    const verb = toOpenApiVerb(route.verb);
+    const path = toOpenApiPath(route.path);
+    const pathItem = spec.paths[path] = spec.paths[path] || {};
+
+    if (pathItem[verb]) {
+      debug('skipping %s %s of %s, the operation is already described by %s',
+        verb, path, route.method, pathItem[verb].operationId);
+      return;
+    }
+
+    let operationId = route.method;
+    if (operationIds[operationId]) {
+      operationId += '__' + operationIds[operationId];
+    }
+    operationIds[route.method] = (operationIds[route.method] || 0) + 1;
+
+    const operation = pathItem[verb] = {
+      tags: [route.method.split('.')[0]],
+      operationId: operationId,
+    };
+
+    if (route.description) {
+      operation.summary = toText(route.description);
+    }
+    if (route.notes) {
+      operation.description = toText(route.notes);
+    }
+
+    const input =
+      describeAccepts(route, sharedMethod, verb, components, options);
+    if (input.parameters.length) {
+      operation.parameters = input.parameters;
+    }
+    if (input.requestBody) {
+      operation.requestBody = input.requestBody;
+    }
+
+    operation.responses =
+      describeResponses(route, sharedMethod, components, options);
+  });
+
+  return spec;
+}
+
+function describeAccepts(route, sharedMethod, verb, components, options) {
+  let accepts = route.accepts || [];
+  if (sharedMethod && !sharedMethod.isStatic && sharedMethod.sharedCtor) {
+    // prototype methods are invoked on an instance built by the shared ctor
+    accepts = (sharedMethod.sharedCtor.accepts || []).concat(accepts);
+  }
+  const pathParams = getPathParamNames(route.path);
+  const parameters = [];
+  const bodyArgs = [];
+  const formArgs = [];
+
+  accepts.forEach(function(arg) {
+    const http = arg.http;
+    const name = arg.name || arg.arg;
+    let source = http && http.source;
+
+    if (typeof http === 'function' || COMPUTED_SOURCES.indexOf(source) !== -1) {
+      // computed arguments are not provided by the client
+      return;
+    }
+
+    if (!source) {
+      if (pathParams.indexOf(name) !== -1) {
+        source = 'path';
+      } else {
+        source = verb === 'get' ? 'query' : 'form';
+      }
+    }
+
+    switch (source) {
+      case 'path':
+      case 'query':
+      case 'header':
+        parameters.push(argToParameter(arg, name, source, components, options));
+        break;
+      case 'ifMatch':
+        parameters.push(argToParameter(arg, 'If-Match', 'header',
+          components, options));
+        break;
+      case 'body':
+        bodyArgs.push(arg);
+        break;
+      case 'form':
+      case 'formData':
+        formArgs.push(arg);
+        break;
+      default:
+        debug('unsupported http source %j of argument %s in %s',
+          source, name, route.method);
+    }
+  });
+
+  const http = sharedMethod && sharedMethod.http || {};
+  if (http.requireIfMatch) {
+    const ifMatch = parameters.filter(function(param) {
+      return param.in === 'header' && param.name === 'If-Match';
+    })[0];
+    if (ifMatch) {
+      ifMatch.required = true;
+    } else {
+      parameters.push({
+        name: 'If-Match', in: 'header', schema: {type: 'string'}, required: true,
+      });
+    }
+  }
+
+  const result = {parameters: parameters};
+  const requestBody = describeBodyArgs(bodyArgs, formArgs, components,
+    options);
+  if (requestBody) {
+    result.requestBody = requestBody;
+  }
+
+  return result;
+}
+
+// Like `HttpContext.buildArgs()`, every `body` argument receives the whole
+// request body and `form` arguments receive its properties, the schemas
+// of all these arguments describe the same payload.
+function describeBodyArgs(bodyArgs, formArgs, components, options) {
+  if (!bodyArgs.length && !formArgs.length) return undefined;
+
+  const schemas = bodyArgs.map(function(arg) {
+    return argToSchema(arg, components, options);
+  });
+
+  if (formArgs.length) {
+    const formSchema = {type: 'object', properties: {}};
+    formArgs.forEach(function(arg) {
+      formSchema.properties[arg.name || arg.arg] =
+        argToSchema(arg, components, options);
+    });
+    const required = formArgs
+      .filter(function(arg) { return arg.required; })
+      .map(function(arg) { return arg.name || arg.arg; });
+    if (required.length) {
+      formSchema.required = required;
+    }
+    schemas.push(formSchema);
+  }
+
+  if (schemas.length > 1) {
+    debug('merging schemas of %d body and %d form arguments',
+      bodyArgs.length, formArgs.length);
+  }
+  const schema = schemas.length === 1 ? schemas[0] : {allOf: schemas};
+
+  const hasFiles = formArgs.some(function(arg) {
+    const type = Array.isArray(arg.type) ? arg.type[0] : arg.type;
+    return String(type).toLowerCase() === 'file';
+  });
+
+  let content;
+  if (hasFiles) {
+    content = {'multipart/form-data': {schema: schema}};
+  } else if (bodyArgs.length) {
+    content = {'application/json': {schema: schema}};
+  } else {
+    content = {
+      'application/json': {schema: schema},
+      'application/x-www-form-urlencoded': {schema: schema},
+    };
+  }
+
+  const requestBody = {content: content};
+  const descriptions = bodyArgs
+    .filter(function(arg) { return arg.description; })
+    .map(function(arg) { return toText(arg.description); });
+  if (descriptions.length) {
+    requestBody.description = descriptions.join('\n\n');
+  }
+
+  const isRequired = bodyArgs.concat(formArgs).some(function(arg) {
+    return arg.required;
+  });
+  if (isRequired) {
+    requestBody.required = true;
+  }
+  return requestBody;
+}
+
+function argToParameter(arg, name, location, components, options) {
+  const param = {
+    name: name,
+    in: location,
+    schema: argToSchema(arg, components, options),
+  };
+
+  if (arg.description) {
+    param.description = toText(arg.description);
+  }
+
+  // path parameters are always required
+  if (arg.required || location === 'path') {
+    param.required = true;
+  }
+
+  return param;
+}
+
+function describeResponses(route, sharedMethod, components, options) {
+  const http = sharedMethod && sharedMethod.http || {};
+  const returns = route.returns || [];
+  const responses = {};
+  const headers = {};
+  let rootArg;
+  const bodyArgs = [];
+
+  returns.forEach(function(arg) {
+    const target = arg.http && arg.http.target;
+    const name = arg.name || arg.arg;
+
+    if (target === 'status') return;
+
+    if (target === 'header') {
+      headers[arg.http.header || name] = {
+        schema: argToSchema(arg, components, options),
+      };
+      return;
+    }
+
+    if (target === 'etag' || target === 'lastModified') {
+      headers[target === 'etag' ? 'ETag' : 'Last-Modified'] = {
+        schema: {type: 'string'},
+      };
+      return;
+    }
+
+    if (arg.root) {
+      rootArg = arg;
+    } else {
+      bodyArgs.push(arg);
+    }
+  });
+
+  const success = {description: 'Request was successful'};
+  let status = http.status;
+
+  if (rootArg) {
+    const isFile = String(rootArg.type).toLowerCase() === 'file';
+    const contentType = isFile ? 'application/octet-stream' : 'application/json';
+    success.content = {};
+    success.content[contentType] = {
+      schema: argToSchema(rootArg, components, options),
+    };
+  } else if (bodyArgs.length) {
+    const schema = {type: 'object', properties: {}};
+    bodyArgs.forEach(function(arg) {
+      schema.properties[arg.name || arg.arg] =
+        argToSchema(arg, components, options);
+    });
+    success.content = {'application/json': {schema: schema}};
+  } else if (!status) {
+    // HttpContext#done() sends 204 when there is no data to return
+    status = 204;
+    success.description = 'No Content';
+  }
+
+  if (Object.keys(headers).length) {
+    success.headers = headers;
+  }
+
+  responses[String(status || 200)] = success;
+
+  (route.errors || []).forEach(function(error) {
+    if (!error || !error.code) return;
+    const response = {description: toText(error.message) || 'Error'};
+    if (error.responseModel) {
+      response.content = {
+        'application/json': {
+          schema: typeToSchema(error.responseModel, components, options),
+        },
+      };
+    }
+    responses[String(error.code)] = response;
+  });
+
+  if (http.requireIfMatch) {
+    responses['412'] = responses['412'] ||
+      {description: 'Precondition Failed'};
+    responses['428'] = responses['428'] ||
+      {description: 'Precondition Required'};
+  }
+
+  return responses;
+}
+
+function argToSchema(arg, components, options) {
+  const schema = typeToSchema(arg.type, components, options);
+  if (arg.description && !schema.$ref) {
+    schema.description = toText(arg.description);
+  }
+  if (arg.default !== undefined && !schema.$ref) {
+    schema.default = arg.default;
+  }
+  addConstraints(schema.type === 'array' ? schema.items : schema, arg);
+  return schema;
+}
+
+function addConstraints(schema, arg) {
+  if (schema.$ref) return;
+
+  if (Array.isArray(arg.enum)) schema.enum = arg.enum;
+  if (arg.min != null) schema.minimum = arg.min;
+  if (arg.max != null) schema.maximum = arg.max;
+  if (arg.minLength != null) schema.minLength = arg.minLength;
+  if (arg.maxLength != null) schema.maxLength = arg.maxLength;
+  if (arg.pattern != null) {
+    schema.pattern = arg.pattern instanceof RegExp ?
+      arg.pattern.source : arg.pattern;
+  }
+  if (arg.format) schema.format = arg.format;
+}
+
+/**
+ * Convert a remoting type (e.g. `"string"`, `["number"]`, `"MyModel"` or an
+ * inline object definition) to an OpenAPI schema object.
+ *
+ * Custom types are described by references to `components.schemas`.
+ *
+ * @param {String|Array|Object|Function} type The remoting type.
+ * @param {Object} components OpenAPI `components` object to register custom
+ *   types in.
+ * @param {Object} [options] Generator options, see `generateSpec()`.
+ * @returns {Object} The schema object.
+ * @private
+ */
+function typeToSchema(type, components, options) {
+  options = options || {};
+
+  if (type === undefined || type === null) {
+    return {};
+  }
+
+  if (Array.isArray(type)) {
+    return {
+      type: 'array',
+      items: typeToSchema(type[0] || 'any', components, options),
+    };
+  }
+
+  if (typeof type === 'function' || typeof type === 'object') {
+    if (type.modelName) {
+      return refSchema(type.modelName, components, options);
+    }
+    if (typeof type === 'object' &&
+        Object.getPrototypeOf(type) === Object.prototype) {
+      return inlineObjectSchema(type, components, options);
+    }
+    type = type.name;
+  }
+
+  const name = String(type);
+  const lowerCaseName = name.toLowerCase();
+
+  if (lowerCaseName === 'array') {
+    return {type: 'array', items: {}};
+  }
+
+  if (BUILTIN_SCHEMAS.hasOwnProperty(lowerCaseName)) {
+    return JSON.parse(JSON.stringify(BUILTIN_SCHEMAS[lowerCaseName]));
+  }
+
+  return refSchema(name, components, options);
+}
+
+function inlineObjectSchema(definition, components, options) {
+  const schema = {type: 'object', properties: {}};
+  const required = [];
+
+  Object.keys(definition).forEach(function(key) {
+    let property = definition[key];
+    const isPropertyDefinition = property && typeof property === 'object' &&
+      !Array.isArray(property) && property.type !== undefined;
+
+    if (!isPropertyDefinition) {
+      property = {type: property};
+    }
+
+    schema.properties[key] = argToSchema(property, components, options);
+    if (property.required) {
+      required.push(key);
+    }
+  });
+
+  if (required.length) {
+    schema.required = required;
+  }
+
+  return schema;
+}
+
+function refSchema(name, components, options) {
+  const customSchemas = options.schemas || {};
+  if (!components.schemas[name]) {
+    components.schemas[name] = customSchemas[name] || {type: 'object'};
+  }
+  return {$ref: '#/components/schemas/' + name};
+}
+
+function toOpenApiVerb(verb) {
+  verb = String(verb).toLowerCase();
+  switch (verb) {
+    case 'all':
+      // RestMethod#getEndpoints() reports "all" as POST
+      return 'post';
+    case 'del':
+      return 'delete';
+    default:
+      return verb;
+  }
+}
+
+function toOpenApiPath(path) {
+  return (path || '/').replace(/:(\w+)[^\/]*/g, '{$1}');
+}
+
+function getPathParamNames(path) {
+  const names = [];
+  const re = /:(\w+)/g;
+  let match;
+  while ((match = re.exec(path || ''))) {
+    names.push(match[1]);
+  }
+  return names;
+}
+
+function toText(value) {
+  return Array.isArray(value) ? value.join('\n') : value;
+}
+
+/**
+ * Build shared classes from an OpenAPI 3.x document.
+ *
+ * Operations are grouped into classes by the first segment of their path,
+ * e.g. `GET /products/{id}` becomes the static method of the `products`
+ * class mounted at `/products` with the method path `/:id`. Method names
+ * are derived from the `operationId`, the part after the last dot is used
+ * when the id has the form `Class.method`.
+ *
+ * Parameters become `accepts` entries with the matching `http.source`,
+ * the request body becomes a single `body` argument (or one `form` argument
+ * per property for form content types), the first 2xx response becomes
+ * the root `returns` entry and other responses become `errors`.
+ *
+ * @param {Object} spec The OpenAPI document.
+ * @param {Object} handlers Method implementations keyed by `operationId`.
+ * @options {Object} [options]
+ * @property {Object} [classOptions] Options passed to the `SharedClass`
+ *   constructor, e.g. `{normalizeHttpPath: true}`.
+ * @end
+ * @returns {SharedClass[]} The shared classes.
+ */
+function createSharedClasses(spec, handlers, options) {
+  assert(spec && typeof spec === 'object' && spec.paths,
+    g.f('must provide a valid {{OpenAPI}} document'));
+  handlers = handlers || {};
+  options = options || {};
+
+  const classes = {};
+
+  Object.keys(spec.paths).forEach(function(path) {
+    const pathItem = resolveRef(spec, spec.paths[path]);
+    const segments = path.split('/').filter(Boolean);
+    const className = segments[0];
+
+    if (!className || /^\{.*\}$/.test(className)) {
+      throw new Error(g.f('Cannot map path %s to a shared class, the first ' +
+        'path segment must be a constant', path));
+    }
+
+    HTTP_VERBS.forEach(function(verb) {
+      const operation = pathItem[verb];
+      if (!operation) return;
+
+      const operationId = operation.operationId;
+      if (!operationId) {
+        throw new Error(g.f('Operation %s %s does not have an {{operationId}}',
+          verb.toUpperCase(), path));
+      }
+
+      const handler = handlers[operationId];
+      if (typeof handler !== 'function') {
+        throw new Error(g.f('Handler for operation %s is not defined',
+          operationId));
+      }
+
+      let sharedClass = classes[className];
+      if (!sharedClass) {
+        const ctor = function() {};
+        ctor.http = {path: '/' + className};
+        sharedClass = classes[className] =
+          new SharedClass(className, ctor, options.classOptions);
+      }
+
+      const methodPath = '/' + segments.slice(1).join('/');
+      const methodName = operationId.split('.').pop();
+      const parameters = (pathItem.parameters || [])
+        .concat(operation.parameters || []);
+
+      const http = {
+        verb: verb,
+        path: methodPath.replace(/\{([^}]+)\}/g, ':$1'),
+      };
+      const status = getSuccessStatus(operation.responses);
+      if (status) {
+        http.status = status;
+      }
+
+      sharedClass.defineMethod(methodName, {
+        isStatic: true,
+        description: operation.summary,
+        notes: operation.description,
+        accepts: describeParameters(spec, parameters)
+          .concat(describeRequestBody(spec, operation.requestBody)),
+        returns: describeReturns(spec, operation.responses),
+        errors: describeErrors(spec, operation.responses),
+        http: http,
+      }, handler);
+    });
+  });
+
+  return Object.keys(classes).map(function(name) {
+    return classes[name];
+  });
+}
+
+function describeParameters(spec, parameters) {
+  const accepts = [];
+  const names = {};
+
+  parameters.forEach(function(param) {
+    param = resolveRef(spec, param);
+    if (PARAMETER_SOURCES.indexOf(param.in) === -1) {
+      g.warn('Parameter %s in %s is not supported and will be ignored',
+        param.name, param.in);
+      return;
+    }
+
+    // operation-level parameters override path-level parameters
+    const key = param.in + ':' + param.name;
+    if (key in names) {
+      accepts[names[key]] = toArgument(spec, param, param.in);
+    } else {
+      names[key] = accepts.length;
+      accepts.push(toArgument(spec, param, param.in));
+    }
+  });
+
+  return accepts;
+}
+
+function describeRequestBody(spec, requestBody) {
+  requestBody = resolveRef(spec, requestBody);
+  if (!requestBody || !requestBody.content) return [];
+
+  const content = requestBody.content;
+  const jsonType = findJsonContentType(content);
+
+  if (!jsonType) {
+    const formType = FORM_CONTENT_TYPES.filter(function(type) {
+      return type in content;
+    })[0];
+    const schema = formType && resolveRef(spec, content[formType].schema);
+
+    if (schema && schema.properties) {
+      const required = schema.required || [];
+      return Object.keys(schema.properties).map(function(name) {
+        return toArgument(spec, {
+          name: name,
+          schema: schema.properties[name],
+          required: required.indexOf(name) !== -1,
+        }, 'form');
+      });
+    }
+  }
+
+  const mediaType = content[jsonType || Object.keys(content)[0]] || {};
+  return [toArgument(spec, {
+    name: requestBody['x-arg-name'] || 'data',
+    description: requestBody.description,
+    required: requestBody.required,
+    schema: mediaType.schema,
+  }, 'body')];
+}
+
+function toArgument(spec, param, source) {
+  const schema = resolveRef(spec, param.schema) || {};
+  const arg = {
+    arg: param.name,
+    type: schemaToType(schema, spec),
+    http: {source: source},
+  };
+
+  if (param.required) {
+    arg.required = true;
+  }
+
+  const description = param.description || schema.description;
+  if (description) {
+    arg.description = description;
+  }
+
+  if (schema.default !== undefined) {
+    arg.default = schema.default;
+  }
+
+  const constrained = schema.type === 'array' ?
+    resolveRef(spec, schema.items) || {} : schema;
+  if (Array.isArray(constrained.enum)) arg.enum = constrained.enum;
+  if (constrained.minimum != null) arg.min = constrained.minimum;
+  if (constrained.maximum != null) arg.max = constrained.maximum;
+  if (constrained.minLength != null) arg.minLength = constrained.minLength;
+  if (constrained.maxLength != null) arg.maxLength = constrained.maxLength;
+  if (constrained.pattern != null) arg.pattern = constrained.pattern;
+  if (constraints.FORMATS[constrained.format]) {
+    arg.format = constrained.format;
+  }
+
+  return arg;
+}
+
+function describeReturns(spec, responses) {
+  const code = getSuccessCode(responses);
+  if (!code) return [];
+
+  const response = resolveRef(spec, responses[code]);
+  const returns = [];
+  const content = response.content;
+
+  if (content && Object.keys(content).length) {
+    const mediaType = content[findJsonContentType(content) ||
+      Object.keys(content)[0]];
+    returns.push({
+      arg: 'data',
+      type: schemaToType(mediaType.schema, spec),
+      root: true,
+    });
+  }
+
+  Object.keys(response.headers || {}).forEach(function(name) {
+    const header = resolveRef(spec, response.headers[name]);
+    returns.push({
+      arg: name,
+      type: schemaToType(header.schema, spec),
+      http: {target: 'header', header: name},
+    });
+  });
+
+  return returns;
+}
+
+function describeErrors(spec, responses) {
+  return Object.keys(responses || {})
+    .filter(function(code) {
+      return /^\d+$/.test(code) && !isSuccessCode(code);
+    })
+    .map(function(code) {
+      const response = resolveRef(spec, responses[code]);
+      return {code: +code, message: response.description};
+    });
+}
+
+function getSuccessCode(responses) {
+  return Object.keys(responses || {}).filter(isSuccessCode).sort()[0];
+}
+
+function getSuccessStatus(responses) {
+  const code = getSuccessCode(responses);
+  return code && /^\d+$/.test(code) ? +code : undefined;
+}
+
+function isSuccessCode(code) {
+  return /^2(\d\d|XX)$/i.test(code);
+}
+
+function findJsonContentType(content) {
+  return Object.keys(content).filter(function(type) {
+    return /^application\/(.+\+)?json\b/.test(type);
+  })[0];
+}
+
+/**
+ * Convert an OpenAPI schema object to a remoting type.
+ *
+ * Object schemas and references to schemas of objects are mapped to
+ * the generic `object` type.
+ *
+ * @param {Object} schema The schema object.
+ * @param {Object} spec The OpenAPI document used to resolve `$ref`s.
+ * @returns {String|Array} The remoting type.
+ * @private
+ */
+function schemaToType(schema, spec) {
+  schema = resolveRef(spec, schema);
+  if (!schema) return 'any';
+
+  switch (schema.type) {
+    case 'array':
+      return [schemaToType(schema.items, spec)];
+    case 'string':
+      switch (schema.format) {
+        case 'date':
+        case 'date-time':
+          return 'date';
+        case 'byte':
+          return 'buffer';
+        case 'binary':
+          return 'file';
+        default:
+          return 'string';
+      }
+    case 'integer':
+    case 'number':
+    case 'boolean':
+    case 'object':
+      return schema.type;
+    default:
+      return schema.properties ? 'object' : 'any';
+  }
+}
+
+function resolveRef(spec, obj) {
+  const seen = [];
+  while (obj && typeof obj.$ref === 'string') {
+    if (seen.indexOf(obj.$ref) !== -1) {
+      throw new Error(g.f('Circular reference %s', obj.$ref));
+    }
+    seen.push(obj.$ref);
+    obj = resolvePointer(spec, obj.$ref);
+  }
+  return obj;
+}
+
+function resolvePointer(spec, ref) {
+  if (ref.indexOf('#/') !== 0) {
+    throw new Error(g.f('Cannot resolve external reference %s', ref));
+  }
+
+  let obj = spec;
+  ref.slice(2).split('/').forEach(function(token) {
+    token = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    obj = obj && obj[token];
+  });
+
+  if (obj === undefined) {
+    throw new Error(g.f('Cannot resolve reference %s', ref));
+  }
+
+  return obj;
+}
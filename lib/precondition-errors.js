@@ -0,0 +1,63 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const g = require('strong-globalize')();
+const inherits = require('util').inherits;
+
+exports.PreconditionFailedError = PreconditionFailedError;
+exports.PreconditionRequiredError = PreconditionRequiredError;
+
+/**
+ * Error reported when the precondition of a request (e.g. the version
+ * provided via `If-Match` header) does not match the current state
+ * of the resource. Sent as `412 Precondition Failed`.
+ *
+ * @example
+ *
+ * ```js
+ * Product.update = function(id, version, data, cb) {
+ *   var product = findProduct(id);
+ *   if (String(product.version) !== version)
+ *     return cb(new PreconditionFailedError());
+ *   // ...
+ * };
+ * ```
+ *
+ * @param {String} [message] The error message.
+ * @class
+ */
+
+function PreconditionFailedError(message) {
+  Error.captureStackTrace(this, PreconditionFailedError);
+  this.name = 'PreconditionFailedError';
+  this.message = message ||
+    g.f('The resource was modified, the precondition failed.');
+  this.statusCode = 412;
+  this.code = 'PRECONDITION_FAILED';
+}
+
+inherits(PreconditionFailedError, Error);
+
+/**
+ * Error reported when a method declared with `http.requireIfMatch`
+ * is invoked without `If-Match` header. Sent as
+ * `428 Precondition Required`.
+ *
+ * @param {String} [message] The error message.
+ * @class
+ */
+
+function PreconditionRequiredError(message) {
+  Error.captureStackTrace(this, PreconditionRequiredError);
+  this.name = 'PreconditionRequiredError';
+  this.message = message ||
+    g.f('The request must be conditional, provide {{If-Match}} header.');
+  this.statusCode = 428;
+  this.code = 'PRECONDITION_REQUIRED';
+}
+
+inherits(PreconditionRequiredError, Error);
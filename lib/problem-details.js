@@ -0,0 +1,161 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const debug = require('debug')('strong-remoting:problem-details');
+const g = require('strong-globalize')();
+const STATUS_CODES = require('http').STATUS_CODES;
+
+const CONTENT_TYPE = 'application/problem+json';
+
+module.exports = {
+  CONTENT_TYPE: CONTENT_TYPE,
+  createHandler: createHandler,
+  getProblemType: getProblemType,
+  toError: toError,
+};
+
+// members defined by RFC 7807 and error properties sent as members
+const RESERVED_MEMBERS = [
+  'type', 'title', 'status', 'detail', 'instance',
+  'statusCode', 'message', 'stack',
+];
+
+/**
+ * Create an error handler sending RFC 7807 problem details
+ * (`application/problem+json`) instead of the `{error}` object sent
+ * by `strong-error-handler`.
+ *
+ * The `type` and `title` of the problem come from the entry of the method's
+ * `errors` matching the status code (`{code, message, type}`), `type` is
+ * either the `type` of the entry or a URI built from `typeBaseUrl` and
+ * the entry message. Other errors have the type `about:blank` and the title
+ * of the status code. `detail` is the error message, `instance` the URL
+ * of the request.
+ *
+ * Like with `strong-error-handler`, `name`, `code` and `details` of client
+ * errors (4xx) are sent as extension members, details of server errors
+ * (5xx) are sent only in debug mode.
+ *
+ * @options {Object} [options] The `errorHandler` options of remotes.
+ * @property {String} [typeBaseUrl] The prefix of the derived `type` URIs,
+ *   e.g. `https://example.com/problems/`. Default is `''`, building URIs
+ *   relative to the request URL.
+ * @property {Boolean} [debug] Include all error properties and stack traces.
+ * @property {Boolean} [log] Set to `false` to not log the errors.
+ * @property {String[]} [safeFields] Error properties to send as extension
+ *   members of all errors.
+ * @returns {Function}
+ */
+
+function createHandler(options) {
+  options = options || {};
+
+  return function problemDetailsHandler(err, req, res, next) {
+    if (options.log !== false) {
+      g.error('Unhandled error for request %s %s: %s',
+        req.method, req.url, err.stack || err);
+    }
+
+    if (res.headersSent) {
+      debug('Response was already sent, closing the underlying connection');
+      return req.socket.destroy();
+    }
+
+    if (typeof err !== 'object' || err === null) {
+      err = {statusCode: 500, message: String(err)};
+    }
+    if (!err.status && !err.statusCode && res.statusCode >= 400)
+      err.statusCode = res.statusCode;
+
+    const ctx = req.remotingContext;
+    const problem = toProblem(err, req, ctx && ctx.method, options);
+    res.status(problem.status);
+    res.set('Content-Type', CONTENT_TYPE);
+    // send a buffer to keep the content type without charset
+    res.send(Buffer.from(JSON.stringify(problem)));
+  };
+}
+
+function toProblem(err, req, sharedMethod, options) {
+  let status = err.statusCode || err.status;
+  if (!(status >= 400)) status = 500;
+
+  const entry = findErrorEntry(sharedMethod, status);
+  const problem = {
+    type: getProblemType(sharedMethod, status, options),
+    title: entry && entry.message || STATUS_CODES[status] || 'Unknown Error',
+    status: status,
+  };
+
+  const isClientError = status < 500;
+  if (isClientError || options.debug) problem.detail = err.message;
+  problem.instance = req.originalUrl;
+
+  if (options.debug) {
+    copyMembers(problem, err, Object.keys(err));
+    problem.stack = err.stack;
+  } else if (isClientError) {
+    copyMembers(problem, err, ['name', 'code', 'details']);
+  }
+
+  const safeFields = [].concat(options.safeFields || []);
+  copyMembers(problem, err, safeFields);
+  return problem;
+}
+
+function copyMembers(problem, err, names) {
+  names.forEach(function(name) {
+    if (RESERVED_MEMBERS.indexOf(name) !== -1) return;
+    if (err[name] !== undefined) problem[name] = err[name];
+  });
+}
+
+function findErrorEntry(sharedMethod, status) {
+  const errors = sharedMethod && sharedMethod.errors || [];
+  return errors.filter(function(entry) {
+    return entry && Number(entry.code) === status;
+  })[0];
+}
+
+/**
+ * Get the problem `type` URI of the errors with the given status code
+ * reported by the method.
+ *
+ * @param {SharedMethod} [sharedMethod]
+ * @param {Number} status
+ * @options {Object} [options] See `createHandler()`.
+ * @returns {String}
+ */
+
+function getProblemType(sharedMethod, status, options) {
+  const entry = findErrorEntry(sharedMethod, status);
+  if (!entry) return 'about:blank';
+  if (entry.type) return String(entry.type);
+
+  const name = entry.message || STATUS_CODES[status] || String(status);
+  const slug = String(name).trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return ((options || {}).typeBaseUrl || '') + (slug || String(status));
+}
+
+/**
+ * Rebuild the error described by a problem details response.
+ *
+ * @param {Object} problem The response body.
+ * @param {Number} statusCode The status code of the response.
+ * @returns {Error}
+ */
+
+function toError(problem, statusCode) {
+  const err = new Error(problem.detail || problem.title ||
+    g.f('Error: %d', statusCode));
+  Object.keys(problem).forEach(function(key) {
+    if (key !== 'detail' && key !== 'status') err[key] = problem[key];
+  });
+  err.statusCode = problem.status || statusCode;
+  return err;
+}
@@ -0,0 +1,171 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const assert = require('assert');
+const debug = require('debug')('strong-remoting:rate-limit');
+const g = require('strong-globalize')();
+const inherits = require('util').inherits;
+
+exports.createHandler = createHandler;
+exports.MemoryStore = MemoryStore;
+exports.RateLimitExceededError = RateLimitExceededError;
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Create a phase handler limiting the number of invocations per client.
+ *
+ * @options {Object} options
+ * @property {Number} max Max number of invocations allowed per window.
+ * @property {Number} [windowMs] The length of the window in milliseconds,
+ *   default to one minute.
+ * @property {String|Function} [key] How to identify clients: `'ip'`
+ *   (the default), `'accessToken'` (the id of `req.accessToken`, falling back
+ *   to the IP address) or a function `key(ctx)` returning a string.
+ * @property {Boolean} [perMethod] Count invocations of each method
+ *   separately. Set to `false` to share the counter by all methods
+ *   the handler is registered for. Default is true.
+ * @property {Object} [store] The store of counters, see `MemoryStore`.
+ * @property {Boolean} [headers] Set to `false` to not send `RateLimit-*`
+ *   headers with responses. Default is true.
+ * @returns {Function} The phase handler `(ctx, next)`.
+ */
+
+function createHandler(options) {
+  options = options || {};
+  assert(typeof options.max === 'number' && options.max >= 0,
+    'options.max must be a non-negative number');
+
+  const max = options.max;
+  const windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+  const getKey = createKeyGetter(options.key || 'ip');
+  const store = options.store || new MemoryStore();
+  const sendHeaders = options.headers !== false;
+  const perMethod = options.perMethod !== false;
+
+  assert(typeof store.increment === 'function',
+    'options.store must implement increment(key, windowMs, cb)');
+
+  return function rateLimit(ctx, next) {
+    const key = getKey(ctx);
+    if (key === undefined || key === null) return next();
+
+    const counterKey = perMethod ?
+      ctx.method.stringName + ':' + key : String(key);
+
+    store.increment(counterKey, windowMs, function(err, hits) {
+      if (err) return next(err);
+
+      const remaining = Math.max(max - hits.count, 0);
+      const resetSeconds = Math.max(
+        Math.ceil((hits.resetTime - Date.now()) / 1000), 0,
+      );
+      const res = ctx.res;
+
+      if (sendHeaders && res && typeof res.set === 'function') {
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(remaining));
+        res.set('RateLimit-Reset', String(resetSeconds));
+      }
+
+      if (hits.count <= max) return next();
+
+      debug('rate limit of %s exceeded by %j', ctx.method.stringName, key);
+      if (res && typeof res.set === 'function') {
+        res.set('Retry-After', String(resetSeconds));
+      }
+      next(new RateLimitExceededError(resetSeconds));
+    });
+  };
+}
+
+function createKeyGetter(key) {
+  if (typeof key === 'function') return key;
+
+  switch (key) {
+    case 'ip':
+      return getClientIp;
+    case 'accessToken':
+      return function(ctx) {
+        const token = ctx.req && ctx.req.accessToken;
+        return token && token.id ? 'token:' + token.id : getClientIp(ctx);
+      };
+    default:
+      throw new Error(g.f('Invalid rate limit key %j, use "{{ip}}", ' +
+        '"{{accessToken}}" or a function.', key));
+  }
+}
+
+function getClientIp(ctx) {
+  const req = ctx.req;
+  if (!req) return undefined;
+  return req.ip || req.connection && req.connection.remoteAddress;
+}
+
+/**
+ * Counters of invocations kept in memory of the process, for applications
+ * running a single process. A store shared by multiple processes must
+ * implement the same interface:
+ *
+ *  - `increment(key, windowMs, cb)` increments the counter of the key and
+ *    calls `cb(err, {count, resetTime})`, where `resetTime` is the timestamp
+ *    (in milliseconds) when the current window ends.
+ *  - `reset(key, cb)` (optional) deletes the counter of the key.
+ *
+ * @class
+ */
+
+function MemoryStore() {
+  this._hits = new Map();
+  this._nextCleanup = 0;
+}
+
+MemoryStore.prototype.increment = function(key, windowMs, cb) {
+  const now = Date.now();
+  if (now >= this._nextCleanup) this._removeExpired(now, windowMs);
+
+  let hits = this._hits.get(key);
+  if (!hits || hits.resetTime <= now) {
+    hits = {count: 0, resetTime: now + windowMs};
+    this._hits.set(key, hits);
+  }
+  hits.count++;
+
+  const result = {count: hits.count, resetTime: hits.resetTime};
+  process.nextTick(function() { cb(null, result); });
+};
+
+MemoryStore.prototype.reset = function(key, cb) {
+  this._hits.delete(key);
+  if (cb) process.nextTick(cb);
+};
+
+MemoryStore.prototype._removeExpired = function(now, windowMs) {
+  this._hits.forEach(function(hits, key, map) {
+    if (hits.resetTime <= now) map.delete(key);
+  });
+  this._nextCleanup = now + windowMs;
+};
+
+/**
+ * Error reported when a client exceeded the rate limit of the method.
+ * Sent as `429 Too Many Requests`.
+ *
+ * @param {Number} retryAfter Seconds until the client can retry.
+ * @class
+ */
+
+function RateLimitExceededError(retryAfter) {
+  Error.captureStackTrace(this, RateLimitExceededError);
+  this.name = 'RateLimitExceededError';
+  this.message = g.f('Too many requests, retry in %d seconds.', retryAfter);
+  this.statusCode = 429;
+  this.code = 'RATE_LIMIT_EXCEEDED';
+  this.retryAfter = retryAfter;
+}
+
+inherits(RateLimitExceededError, Error);
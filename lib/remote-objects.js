@@ -26,7 +26,10 @@ const SharedClass = require('./shared-class');
 const SharedMethod = require('./shared-method');
 const ExportsHelper = require('./exports-helper');
 const PhaseList = require('loopback-phase').PhaseList;
+const rateLimit = require('./rate-limit');
+const cancellation = require('./cancellation');
 const TypeRegistry = require('./type-registry');
+const openapi = require('./openapi');
 
 // require the rest adapter for browserification
 // TODO(ritch) remove this somehow...?
@@ -54,6 +57,8 @@ require('./rest-adapter');
  * @property {String} auth.password
  * @property {String} auth.bearer The **bearer token**.
  * @property {Boolean} auth.sendImmediately Defaults to `false`.
+ * @property {Number} timeout The default timeout of method invocations
+ * in milliseconds, see `timeout` option of `SharedMethod`.
  */
 
 function RemoteObjects(options) {
@@ -64,6 +69,10 @@ function RemoteObjects(options) {
   this.exports = this.options.exports || {};
   this._typeRegistry = new TypeRegistry(this.options.types);
   this._classes = {};
+  this._classListeners = {};
+  this._revision = 0;
+  this._methodIndex = null;
+  this._responseFormats = {};
 
   this._setupPhases();
 }
@@ -223,29 +232,103 @@ RemoteObjects.prototype.classes = function(options) {
 /**
  * Add a shared class.
  *
+ * Emits `classAdded` with the shared class. Changes of methods of the class
+ * are reported via `classChanged` event.
+ *
  * @param {SharedClass} sharedClass
  */
 
 RemoteObjects.prototype.addClass = function(sharedClass) {
   assert(sharedClass && sharedClass.constructor.name === 'SharedClass',
     g.f('must provide a valid {{SharedClass}}'));
-  this._classes[sharedClass.name] = sharedClass;
+  const name = sharedClass.name;
+  this._unwatchClass(name);
+  this._classes[name] = sharedClass;
+
+  if (typeof sharedClass.on === 'function') {
+    const self = this;
+    const listener = this._classListeners[name] = function() {
+      self._revision++;
+      self.emit('classChanged', sharedClass);
+    };
+    sharedClass.on('change', listener);
+  }
+
+  this._revision++;
+  this.emit('classAdded', sharedClass);
+};
+
+RemoteObjects.prototype._unwatchClass = function(className) {
+  const listener = this._classListeners[className];
+  if (!listener) return;
+  this._classes[className].removeListener('change', listener);
+  delete this._classListeners[className];
+};
+
+/**
+ * Get the revision of the registry of shared classes. The revision changes
+ * whenever a class is added, deleted or its methods change, adapters use it
+ * to detect that their routing tables are outdated.
+ *
+ * Note that changes of classes exposed via `remotes.exports` are not tracked.
+ *
+ * @returns {Number}
+ */
+
+RemoteObjects.prototype.getRevision = function() {
+  return this._revision;
+};
+
+/**
+ * Add shared classes described by an OpenAPI 3.x document.
+ *
+ * ```js
+ * remotes.addClassesFromOpenApi(spec, {
+ *   findProducts: function(filter, cb) { ... },
+ * });
+ * ```
+ *
+ * @param {Object} spec The OpenAPI document.
+ * @param {Object} handlers Method implementations keyed by `operationId`.
+ * @param {Object} [options] See `openapi.createSharedClasses()`.
+ * @returns {SharedClass[]} The added shared classes.
+ */
+
+RemoteObjects.prototype.addClassesFromOpenApi = function(spec, handlers,
+  options) {
+  const sharedClasses = openapi.createSharedClasses(spec, handlers, options);
+  sharedClasses.forEach(this.addClass, this);
+  return sharedClasses;
 };
 
 /**
  * Remove a previously-registered shared class.
  *
+ * Emits `classDeleted` with the class name.
+ *
  * @param {string} className The name of the shared class to remove.
  */
 RemoteObjects.prototype.deleteClassByName = function(className) {
+  const exists = className in this._classes;
+  this._unwatchClass(className);
   delete this._classes[className];
   Object.keys(this.listenerTree).forEach(hooktype=>{
     delete this.listenerTree[hooktype][className];
   });
+
+  if (exists) {
+    this._revision++;
+    this.emit('classDeleted', className);
+  }
 };
 
 /**
- * Find a method by its string name.
+ * Find a method by its string name or by the string name of its alias.
+ *
+ * Methods are looked up in an index rebuilt when the revision of shared
+ * classes changes (see `getRevision()`), when `remotes.exports` change,
+ * when a method is not found or when the method found was un-shared or its
+ * function was replaced.
  *
  * @param {String} methodString String specifying the method. For example:
  *
@@ -255,13 +338,69 @@ RemoteObjects.prototype.deleteClassByName = function(className) {
  */
 
 RemoteObjects.prototype.findMethod = function(methodString) {
-  const methods = this.methods();
-
-  for (let i = 0; i < methods.length; i++) {
-    if (methods[i].stringName === methodString) return methods[i];
+  const index = this._methodIndex;
+  if (index && index.revision === this._revision &&
+      isSameExports(index.exports, this.exports)) {
+    const sharedMethod = index.methods[methodString];
+    const indexedFn = index.functions[methodString];
+    if (sharedMethod &&
+        isIndexedMethod(methodString, sharedMethod, indexedFn)) {
+      return sharedMethod;
+    }
   }
+
+  this._methodIndex = buildMethodIndex(this.methods());
+  this._methodIndex.revision = this._revision;
+  this._methodIndex.exports = Object.assign({}, this.exports);
+  return this._methodIndex.methods[methodString];
 };
 
+function buildMethodIndex(sharedMethods) {
+  const methods = Object.create(null);
+  const functions = Object.create(null);
+
+  function add(name, sharedMethod) {
+    if (methods[name]) return;
+    methods[name] = sharedMethod;
+    const methodName = getMethodName(name, sharedMethod);
+    functions[name] = sharedMethod.sharedClass._getSharedFunction(methodName);
+  }
+
+  sharedMethods.forEach(function(sharedMethod) {
+    add(sharedMethod.stringName, sharedMethod);
+  });
+
+  // string names take precedence over aliases
+  sharedMethods.forEach(function(sharedMethod) {
+    const prefix = sharedMethod.stringName
+      .slice(0, -sharedMethod.name.length);
+    sharedMethod.aliases.forEach(function(alias) {
+      add(prefix + alias, sharedMethod);
+    });
+  });
+
+  return {methods: methods, functions: functions};
+}
+
+function isIndexedMethod(methodString, sharedMethod, indexedFn) {
+  const methodName = getMethodName(methodString, sharedMethod);
+  return sharedMethod.sharedClass._isIndexedMethod(methodName, sharedMethod,
+    indexedFn);
+}
+
+// `MyClass.prototype.myMethod` -> `prototype.myMethod`
+function getMethodName(methodString, sharedMethod) {
+  return methodString.slice(sharedMethod.sharedClass.name.length + 1);
+}
+
+function isSameExports(snapshot, exports) {
+  const names = Object.keys(exports);
+  if (names.length !== Object.keys(snapshot).length) return false;
+  return names.every(function(name) {
+    return snapshot[name] === exports[name];
+  });
+}
+
 /**
  * List all methods.
  */
@@ -456,6 +595,47 @@ RemoteObjects.prototype.registerPhaseHandler = function(phaseName,
   });
 };
 
+/**
+ * Limit the number of invocations of methods matching the given wildcard
+ * per client and time window. Invocations over the limit are rejected with
+ * `429 Too Many Requests` error with `Retry-After` header, REST responses
+ * include `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset`
+ * headers.
+ *
+ * Each call creates an independent limiter. Each method matching
+ * the wildcard has its own limit, unless `perMethod` is `false`.
+ *
+ * ```js
+ * remotes.rateLimit('User.login', {max: 5, windowMs: 60000});
+ * remotes.rateLimit('**', {
+ *   max: 1000,
+ *   key: function(ctx) { return ctx.req.get('X-Api-Key'); },
+ * });
+ * ```
+ *
+ * @param {String} methodNameWildcard The wildcard of method string names,
+ *   see `registerPhaseHandler()`.
+ * @options {Object} options See also `rate-limit.js`.
+ * @property {Number} max Max number of invocations per window.
+ * @property {Number} [windowMs] The length of the window in milliseconds,
+ *   default to one minute.
+ * @property {String|Function} [key] `'ip'` (the default), `'accessToken'`
+ *   or a function `key(ctx)` returning the client identifier. Invocations
+ *   with no key are not limited.
+ * @property {Boolean} [perMethod] Set to `false` to share one limit
+ *   by all methods matching the wildcard. Default is `true`.
+ * @property {Object} [store] The store of counters, default to a store
+ *   in memory of the process.
+ * @property {String} [phase] The phase running the limiter,
+ *   default to `auth:before`.
+ */
+
+RemoteObjects.prototype.rateLimit = function(methodNameWildcard, options) {
+  options = options || {};
+  this.registerPhaseHandler(options.phase || 'auth:before', methodNameWildcard,
+    rateLimit.createHandler(options));
+};
+
 /*!
  * Create a middleware style emit that supports wildcards.
  */
@@ -692,7 +872,10 @@ RemoteObjects.prototype._setupPhases = function() {
   });
 
   invoke.use(function phaseInvoke(ctx, next) {
-    ctx.invoke(ctx.getScope(), ctx.method, function(err, result) {
+    const timeout = self._getInvocationTimeout(ctx.method);
+    cancellation.invokeWithTimeout(ctx, timeout, function(cb) {
+      ctx.invoke(ctx.getScope(), ctx.method, cb);
+    }, function(err, result) {
       if (!err) ctx.result = result;
       next(err);
     });
@@ -703,6 +886,10 @@ RemoteObjects.prototype._setupPhases = function() {
   });
 };
 
+RemoteObjects.prototype._getInvocationTimeout = function(method) {
+  return method.timeout !== undefined ? method.timeout : this.options.timeout;
+};
+
 /**
  * Invoke the given shared method using the supplied context.
  * Execute registered before/after hooks.
@@ -727,7 +914,9 @@ RemoteObjects.prototype.invokeMethodInContext = function(ctx, method, cb) {
       'Pass the method as ctx.method instead.');
   }
 
+  const detachSignal = cancellation.attach(ctx);
   self.phases.run(ctx, function interceptInvocationErrors(err) {
+    detachSignal();
     if (!err) return cb();
 
     ctx.error = err;
@@ -850,7 +1039,70 @@ RemoteObjects.prototype.defineObjectType = function(name, factoryFn) {
  * @param {String} name The type name.
  */
 RemoteObjects.prototype.deleteTypeByName = function(name) {
-  delete this._typeRegistry._types[name.toLowerCase()];
+  this._typeRegistry.deleteType(name);
+};
+
+/**
+ * Register a response format used by the REST adapter when serializing
+ * results of remote methods.
+ *
+ * Registered formats take part in the content negotiation based on the
+ * `Accept` request header and can be requested via the `_format` query
+ * parameter using the content type or one of its aliases. Registering
+ * a built-in content type like `application/json` replaces the default
+ * serializer.
+ *
+ * @example
+ *
+ * ```js
+ * remotes.registerResponseFormat('text/csv', {
+ *   aliases: ['csv'],
+ *   serialize: function(ctx, data) {
+ *     return data.map(function(row) {
+ *       return [row.id, row.name].join(',');
+ *     }).join('\n');
+ *   },
+ * });
+ * ```
+ *
+ * @param {String} contentType The media type, e.g. `text/csv`.
+ * @options {Object} format The format definition.
+ * @property {Function(Object, *)} serialize Convert the result `data`
+ *   to a string or a Buffer. Called with the `HttpContext` as the first
+ *   argument. Errors thrown by the function are passed to the error handler.
+ * @property {String} [contentType] The value of `Content-Type` response
+ *   header, defaults to `contentType`.
+ * @property {String[]} [aliases] Short names accepted by `_format`,
+ *   e.g. `['csv']`.
+ */
+RemoteObjects.prototype.registerResponseFormat = function(contentType, format) {
+  if (typeof contentType !== 'string' || !contentType) {
+    throw new Error(g.f('The content type of a response format ' +
+      'must be a non-empty string.'));
+  }
+  if (!format || typeof format.serialize !== 'function') {
+    throw new Error(g.f('The response format %s must provide ' +
+      'a "serialize" function.', contentType));
+  }
+
+  contentType = contentType.toLowerCase();
+  this._responseFormats[contentType] = {
+    type: contentType,
+    contentType: format.contentType || contentType,
+    aliases: (format.aliases || []).map(function(alias) {
+      return alias.toLowerCase();
+    }),
+    serialize: format.serialize,
+  };
+};
+
+/**
+ * Remove a response format registered via `registerResponseFormat`.
+ *
+ * @param {String} contentType The media type.
+ */
+RemoteObjects.prototype.deleteResponseFormat = function(contentType) {
+  delete this._responseFormats[contentType.toLowerCase()];
 };
 
 RemoteObjects.convert =
@@ -28,9 +28,17 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const async = require('async');
 const HttpInvocation = require('./http-invocation');
+const batch = require('./batch');
 const HttpContext = require('./http-context');
+const jsonApi = require('./json-api');
+const jsonSerializer = require('./json-serializer');
+const idempotency = require('./idempotency');
+const multipart = require('./multipart');
+const openapi = require('./openapi');
+const problemDetails = require('./problem-details');
 const strongErrorHandler = require('strong-error-handler');
 const inflection = require('inflection');
+const xml2js = require('xml2js');
 
 const json = bodyParser.json;
 const urlencoded = bodyParser.urlencoded;
@@ -318,7 +326,6 @@ RestAdapter.prototype.createHandler = function() {
 
   const root = express.Router();
   const adapter = this;
-  const classes = this.getClasses();
 
   // Add a handler to tolerate empty json as connect's json middleware throws an error
   root.use(function(req, res, next) {
@@ -343,6 +350,76 @@ RestAdapter.prototype.createHandler = function() {
   root.use(urlencoded(urlencodedOptions));
   root.use(json(jsonOptions));
 
+  if (this.options.xml) {
+    root.use(xmlBodyParser(this.remotes.options.xml));
+  }
+
+  if (this.options.jsonApi) {
+    root.use(json(Object.assign({}, jsonOptions, {type: jsonApi.CONTENT_TYPE})));
+    root.use(jsonApi.bodyUnwrapper());
+  }
+
+  if (this.options.batch) {
+    const batchOptions = this.options.batch === true ? {} : this.options.batch;
+    root.post(batchOptions.path || '/batch',
+      batch.createHandler(root, batchOptions));
+  }
+
+  // The routes are rebuilt when shared classes are added, deleted or their
+  // methods change. Requests in progress keep using the previous routes.
+  // A failed rebuild is retried by the next requests, the failure is reported
+  // once per revision.
+  let routes = this._createRoutesRouter();
+  let revision = this._getRemotesRevision();
+  let failedRevision;
+  root.use(function restRoutes(req, res, next) {
+    const currentRevision = adapter._getRemotesRevision();
+    if (currentRevision !== revision) {
+      debug('shared classes changed, rebuilding REST routes');
+      try {
+        routes = adapter._createRoutesRouter();
+        revision = currentRevision;
+      } catch (err) {
+        if (failedRevision !== currentRevision) {
+          failedRevision = currentRevision;
+          g.warn('Cannot update REST routes, using the previous ones. %s',
+            err.message);
+        } else {
+          debug('cannot update REST routes: %s', err.message);
+        }
+      }
+    }
+    routes(req, res, next);
+  });
+
+  if (this._shouldHandleErrors()) {
+    // Use our own error handler to make sure the error response has
+    // always the format expected by remoting clients.
+    if (this.options.jsonApi) {
+      root.use(jsonApi.errorHandler(this.remotes.options.errorHandler));
+    }
+    root.use(RestAdapter.errorHandler(this.remotes.options.errorHandler));
+  }
+
+  return root;
+};
+
+RestAdapter.prototype._getRemotesRevision = function() {
+  const remotes = this.remotes;
+  return typeof remotes.getRevision === 'function' ? remotes.getRevision() : 0;
+};
+
+/*!
+ * Create a router dispatching requests to methods of all shared classes.
+ */
+
+RestAdapter.prototype._createRoutesRouter = function() {
+  const root = express.Router();
+  const adapter = this;
+  const classes = this.getClasses();
+
+  reportRouteIssues(analyzeRestClasses(classes), this.options.strictRoutes);
+
   const handleUnknownPaths = this._shouldHandleUnknownPaths();
 
   classes.forEach(function(restClass) {
@@ -371,6 +448,11 @@ RestAdapter.prototype.createHandler = function() {
     });
 
     if (handleUnknownPaths) {
+      // Answer OPTIONS and unsupported verbs of known paths with the list
+      // of allowed verbs.
+      adapter._registerAllowedVerbsHandlers(router, methods);
+      router.use(RestAdapter.methodNotAllowedHandler());
+
       // Convert requests for unknown methods of this sharedClass into 404.
       // Do not allow other middleware to invade our URL space.
       router.use(RestAdapter.remoteMethodNotFoundHandler(className));
@@ -391,12 +473,6 @@ RestAdapter.prototype.createHandler = function() {
     root.use(RestAdapter.urlNotFoundHandler());
   }
 
-  if (this._shouldHandleErrors()) {
-    // Use our own error handler to make sure the error response has
-    // always the format expected by remoting clients.
-    root.use(RestAdapter.errorHandler(this.remotes.options.errorHandler));
-  }
-
   return root;
 };
 
@@ -408,6 +484,70 @@ RestAdapter.prototype._shouldHandleErrors = function() {
   return !(this.options && this.options.handleErrors === false);
 };
 
+/*!
+ * Register handlers collecting the verbs allowed for the requested path
+ * in `req.remotingAllowedVerbs`. They are invoked only when no method
+ * handled the request.
+ */
+
+RestAdapter.prototype._registerAllowedVerbsHandlers = function(router,
+  methods) {
+  const verbsByPath = {};
+  methods.forEach(function(m) {
+    const path = m.route.path;
+    verbsByPath[path] = verbsByPath[path] || [];
+    verbsByPath[path].push(m.route.verb);
+  });
+
+  Object.keys(verbsByPath).forEach(function(path) {
+    const verbs = verbsByPath[path];
+    // routes accepting all verbs never reach the fallback
+    if (verbs.indexOf('all') !== -1) return;
+
+    const allowed = toAllowedVerbs(verbs);
+    debug('        allowed verbs of %s: %s', path, allowed.join(', '));
+    router.all(path, function collectAllowedVerbs(req, res, next) {
+      const collected = req.remotingAllowedVerbs || [];
+      req.remotingAllowedVerbs = collected.concat(allowed.filter(function(verb) {
+        return collected.indexOf(verb) === -1;
+      }));
+      next();
+    });
+  });
+};
+
+function toAllowedVerbs(verbs) {
+  const allowed = [];
+  verbs.forEach(function(verb) {
+    verb = verb === 'del' ? 'DELETE' : verb.toUpperCase();
+    if (allowed.indexOf(verb) === -1) allowed.push(verb);
+    // Express handles HEAD requests by GET routes
+    if (verb === 'GET' && allowed.indexOf('HEAD') === -1) allowed.push('HEAD');
+  });
+  return allowed;
+}
+
+RestAdapter.methodNotAllowedHandler = function() {
+  return function restMethodNotAllowed(req, res, next) {
+    const verbs = req.remotingAllowedVerbs;
+    if (!verbs || !verbs.length) return next();
+
+    const allow = verbs.concat(verbs.indexOf('OPTIONS') === -1 ? ['OPTIONS'] : []);
+    res.set('Allow', allow.join(', '));
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).end();
+      return;
+    }
+
+    const message = g.f('Method %s is not allowed for %s, use one of: %s',
+      req.method, req.originalUrl, allow.join(', '));
+    const error = new Error(message);
+    error.statusCode = 405;
+    next(error);
+  };
+};
+
 RestAdapter.remoteMethodNotFoundHandler = function(className) {
   className = className || '(unknown)';
   return function restRemoteMethodNotFound(req, res, next) {
@@ -428,6 +568,18 @@ RestAdapter.urlNotFoundHandler = function() {
   };
 };
 
+/**
+ * Create the error handler sending errors of remote methods.
+ *
+ * @options {Object} [options] The `errorHandler` options of remotes,
+ *   see `strong-error-handler`.
+ * @property {String} [format] Set to `'problem'` to send RFC 7807
+ *   `application/problem+json` responses, see `problem-details.js`.
+ * @property {Function} [handler] A custom handler
+ *   `handler(err, req, res, defaultHandler)`.
+ * @returns {Function}
+ */
+
 RestAdapter.errorHandler = function(options) {
   options = options || {};
   if (options.hasOwnProperty('disableStackTrace')) {
@@ -438,7 +590,9 @@ RestAdapter.errorHandler = function(options) {
     );
   }
 
-  const strongErrorHandlerInstance = strongErrorHandler(options);
+  const strongErrorHandlerInstance = options.format === 'problem' ?
+    problemDetails.createHandler(options) :
+    strongErrorHandler(options);
 
   return function restErrorHandler(err, req, res, next) {
     if (typeof options.handler === 'function') {
@@ -470,12 +624,46 @@ RestAdapter.prototype._registerMethodRouteHandlers = function(router,
     this._createPrototypeMethodHandler(sharedMethod);
 
   debug('        %s %s %s', route.verb, route.path, handler.name);
+  this._compileMethod(sharedMethod);
+
   let verb = route.verb;
   if (verb === 'del') {
     // Express 4.x only supports delete
     verb = 'delete';
   }
-  router[verb](route.path, handler);
+
+  const handlers = [];
+  if (multipart.hasFileArgs(sharedMethod)) {
+    // Route-level limits take precedence over the global ones
+    const limits = util._extend(
+      util._extend({}, this.remotes.options.multipart),
+      route.multipart,
+    );
+    handlers.push(multipart.createParser(limits));
+  }
+
+  if (sharedMethod.idempotent) {
+    handlers.push(idempotency.createMiddleware(sharedMethod, this.remotes,
+      this.remotes.options.idempotency));
+  }
+
+  handlers.push(handler);
+  router[verb].apply(router, [route.path].concat(handlers));
+};
+
+RestAdapter.prototype._compileMethod = function(sharedMethod) {
+  const http = sharedMethod.http || {};
+  const useJsonSerializer = http.jsonSerializer !== undefined ?
+    http.jsonSerializer : this.options.jsonSerializer;
+  if (useJsonSerializer) jsonSerializer.forMethod(sharedMethod);
+
+  // Compile argument plans ahead of the first request
+  const compileArgs = this.Context.compileArgs;
+  if (typeof compileArgs !== 'function') return;
+  compileArgs(sharedMethod, this.typeRegistry);
+  if (!sharedMethod.isStatic && sharedMethod.sharedCtor) {
+    compileArgs(sharedMethod.sharedCtor, this.typeRegistry);
+  }
 };
 
 RestAdapter.prototype._createStaticMethodHandler = function(sharedMethod) {
@@ -483,7 +671,8 @@ RestAdapter.prototype._createStaticMethodHandler = function(sharedMethod) {
   const Context = this.Context;
 
   return function restStaticMethodHandler(req, res, next) {
-    const ctx = new Context(req, res, sharedMethod, self.options, self.typeRegistry);
+    const ctx = new Context(req, res, sharedMethod, self.options,
+      self.typeRegistry, self.remotes._responseFormats);
     self._invokeMethod(ctx, sharedMethod, next);
   };
 };
@@ -493,7 +682,8 @@ RestAdapter.prototype._createPrototypeMethodHandler = function(sharedMethod) {
   const Context = this.Context;
 
   return function restPrototypeMethodHandler(req, res, next) {
-    const ctx = new Context(req, res, sharedMethod, self.options, self.typeRegistry);
+    const ctx = new Context(req, res, sharedMethod, self.options,
+      self.typeRegistry, self.remotes._responseFormats);
 
     // invoke the shared constructor to get an instance
     ctx.invoke(sharedMethod.ctor, sharedMethod.sharedCtor, function(err, inst) {
@@ -546,6 +736,54 @@ RestAdapter.prototype._invokeMethod = function(ctx, method, next) {
   );
 };
 
+/*!
+ * Create a middleware parsing `application/xml` and `text/xml` request bodies
+ * into `req.body`. The root element is dropped and elements are not wrapped
+ * in arrays unless repeated, so that `<data><x>1</x></data>` produces
+ * the same shape as `{"x": "1"}`.
+ *
+ * `options` are passed to `bodyParser.text()`, except `options.parser`
+ * which overrides the options of `xml2js.Parser`.
+ */
+
+function xmlBodyParser(options) {
+  options = util._extend({type: ['application/xml', 'text/xml']}, options);
+  const parserOptions = util._extend({
+    explicitArray: false,
+    explicitRoot: false,
+    mergeAttrs: true,
+  }, options.parser);
+  delete options.parser;
+
+  const readText = bodyParser.text(options);
+
+  return function parseXmlBody(req, res, next) {
+    readText(req, res, function(err) {
+      if (err) return next(err);
+      if (typeof req.body !== 'string') return next();
+
+      if (req.body.trim() === '') {
+        req.body = {};
+        return next();
+      }
+
+      const parser = new xml2js.Parser(parserOptions);
+      parser.parseString(req.body, function(err, result) {
+        if (err) {
+          debug('Cannot parse XML request body: %s', err);
+          const parseError = new Error(g.f('Cannot parse XML request body. %s',
+            err.message));
+          parseError.statusCode = 400;
+          return next(parseError);
+        }
+        // an empty root element is parsed as an empty string
+        req.body = result === '' || result == null ? {} : result;
+        next();
+      });
+    });
+  };
+}
+
 RestAdapter.prototype.allRoutes = function() {
   const routes = [];
   const adapter = this;
@@ -605,12 +843,240 @@ RestAdapter.prototype.allRoutes = function() {
   }
 };
 
+/**
+ * Analyze REST routes of all shared classes and report problems making
+ * methods unreachable or their arguments impossible to provide:
+ *
+ *  - `duplicate` - two methods of a class handle the same verb and path.
+ *  - `shadowed` - a method registered earlier handles requests of another
+ *    method, e.g. `GET /:id` and `ALL /count`.
+ *  - `ambiguous` - some requests match routes of two methods, e.g.
+ *    `GET /:id/stats` and `GET /latest/:kind`.
+ *  - `missingPathParam` - an argument with `http.source: 'path'` is not
+ *    a parameter of the route path.
+ *  - `mountConflict` - two classes are mounted at the same path.
+ *
+ * `createHandler()` prints the issues as warnings, or throws when
+ * the `strictRoutes` option is enabled.
+ *
+ * @returns {Object[]} A list of `{type, verb, path, methods, message}`.
+ */
+
+RestAdapter.prototype.analyzeRoutes = function() {
+  return analyzeRestClasses(this.getClasses());
+};
+
+function analyzeRestClasses(classes) {
+  const issues = [];
+  const mounts = {};
+
+  classes.forEach(function(restClass) {
+    const classPath = restClass.getPath();
+
+    restClass.routes.forEach(function(classRoute) {
+      const key = toRouteShape(classRoute.path);
+      const other = mounts[key];
+      if (other && other !== restClass.name) {
+        issues.push({
+          type: 'mountConflict',
+          path: classRoute.path,
+          methods: [],
+          message: g.f('{{Shared classes}} %s and %s are both mounted at %s',
+            other, restClass.name, classRoute.path),
+        });
+      } else {
+        mounts[key] = restClass.name;
+      }
+    });
+
+    const entries = [];
+    restClass.methods.forEach(function(restMethod) {
+      restMethod.routes.forEach(function(route) {
+        entries.push({route: route, method: restMethod});
+        findMissingPathParams(restMethod, route, classPath, issues);
+      });
+    });
+
+    // Analyze the routes in the order used by createHandler()
+    entries.sort(sortRoutes);
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const issue = compareRoutes(entries[i], entries[j], classPath);
+        if (issue) issues.push(issue);
+      }
+    }
+  });
+
+  return issues;
+}
+
+function reportRouteIssues(issues, strict) {
+  if (!issues.length) return;
+
+  if (strict) {
+    const messages = issues.map(function(issue) { return issue.message; });
+    const err = new Error(g.f('Invalid REST routes:\n%s', messages.join('\n')));
+    err.details = issues;
+    throw err;
+  }
+
+  issues.forEach(function(issue) {
+    g.warn('%s', issue.message);
+  });
+}
+
+function findMissingPathParams(restMethod, route, classPath, issues) {
+  const fullPath = joinPaths(classPath, route.path);
+  const params = getPathParams(fullPath);
+
+  restMethod.accepts.forEach(function(accept) {
+    const http = accept.http;
+    if (!http || http.source !== 'path') return;
+
+    const name = accept.name || accept.arg;
+    if (params.indexOf(name) !== -1) return;
+
+    const verb = toVerbName(route.verb);
+    issues.push({
+      type: 'missingPathParam',
+      verb: verb,
+      path: fullPath,
+      methods: [restMethod.fullName],
+      message: g.f(
+        'Argument %j of %s has {{http.source}} "path", ' +
+          'but the route %s %s has no such parameter',
+        name, restMethod.fullName, verb, fullPath,
+      ),
+    });
+  });
+}
+
+function compareRoutes(first, second, classPath) {
+  const verb1 = normalizeVerb(first.route.verb);
+  const verb2 = normalizeVerb(second.route.verb);
+  if (verb1 !== verb2 && verb1 !== 'all' && verb2 !== 'all') return null;
+
+  const segments1 = toSegments(first.route.path);
+  const segments2 = toSegments(second.route.path);
+  // complex patterns like `:id(\d+)`, `:id?` or `*` are not analyzed
+  if (!segments1 || !segments2 || segments1.length !== segments2.length)
+    return null;
+
+  let overlaps = true;
+  let firstCovers = true;
+  let secondCovers = true;
+  let sameShape = true;
+  for (let i = 0; i < segments1.length; i++) {
+    const param1 = segments1[i][0] === ':';
+    const param2 = segments2[i][0] === ':';
+    if (param1 && param2 || segments1[i] === segments2[i]) continue;
+
+    sameShape = false;
+    if (!param1) firstCovers = false;
+    if (!param2) secondCovers = false;
+    if (!param1 && !param2) overlaps = false;
+  }
+
+  if (!overlaps) return null;
+
+  const name1 = first.method.fullName;
+  const name2 = second.method.fullName;
+  const path = joinPaths(classPath, second.route.path);
+
+  if (firstCovers) {
+    // `second` is never invoked for the verb handled by `first`
+    const verb = toVerbName(verb1 === 'all' ? verb2 : verb1);
+    if (sameShape && verb1 === verb2) {
+      return {
+        type: 'duplicate',
+        verb: verb,
+        path: path,
+        methods: [name1, name2],
+        message: g.f('%s %s is handled by both %s and %s, ' +
+          'the latter is never invoked', verb, path, name1, name2),
+      };
+    }
+    return {
+      type: 'shadowed',
+      verb: verb,
+      path: path,
+      methods: [name1, name2],
+      message: g.f('%s %s of %s is shadowed by %s %s of %s',
+        verb, path, name2, verb, joinPaths(classPath, first.route.path),
+        name1),
+    };
+  }
+
+  // Literal segments take precedence over parameters, this is intended
+  if (secondCovers) return null;
+
+  const path1 = joinPaths(classPath, first.route.path);
+  return {
+    type: 'ambiguous',
+    verb: toVerbName(verb1 === 'all' ? verb2 : verb1),
+    path: path,
+    methods: [name1, name2],
+    message: g.f(
+      'Routes %s %s of %s and %s %s of %s overlap, ' +
+        'requests matching both are handled by %s',
+      toVerbName(verb1), path1, name1, toVerbName(verb2), path, name2, name1,
+    ),
+  };
+}
+
+function normalizeVerb(verb) {
+  verb = String(verb).toLowerCase();
+  return verb === 'del' ? 'delete' : verb;
+}
+
+function toVerbName(verb) {
+  verb = normalizeVerb(verb);
+  return verb === 'all' ? '*' : verb.toUpperCase();
+}
+
+function toSegments(path) {
+  if (/[?*()+]/.test(path)) return null;
+  return path.split('/').filter(function(segment) {
+    return segment !== '';
+  });
+}
+
+function toRouteShape(path) {
+  return '/' + path.split('/').filter(function(segment) {
+    return segment !== '';
+  }).map(function(segment) {
+    return segment[0] === ':' ? ':' : segment;
+  }).join('/');
+}
+
+function getPathParams(path) {
+  const params = [];
+  const regex = /:(\w+)/g;
+  let match;
+  while ((match = regex.exec(path)) !== null) {
+    params.push(match[1]);
+  }
+  return params;
+}
+
 RestAdapter.prototype.getClasses = function() {
   return this.remotes.classes(this.options).map(c => {
     return new RestClass(c, this.options);
   });
 };
 
+/**
+ * Build an OpenAPI 3.x document describing all routes of this adapter.
+ *
+ * @param {Object} [options] See `openapi.generateSpec()` for the list
+ *   of supported options.
+ * @return {Object} The OpenAPI document.
+ */
+
+RestAdapter.prototype.getOpenApiSpec = function(options) {
+  return openapi.generateSpec(this, options);
+};
+
 function RestClass(sharedClass, adapterOptions) {
   nonEnumerableConstPropery(this, 'sharedClass', sharedClass);
 
@@ -18,6 +18,7 @@ module.exports = SharedClass;
  */
 
 const debug = require('debug')('strong-remoting:shared-class');
+const EventEmitter = require('events').EventEmitter;
 const util = require('util');
 const inherits = util.inherits;
 const extend = util._extend;
@@ -32,16 +33,20 @@ const assert = require('assert');
  * @param {Object} options Additional options.
  * @property {Function} ctor The `constructor`
  * @property {Object} http The HTTP settings
+ *
+ * Emits `change` when methods are defined, resolved or disabled.
  * @class
  */
 
 function SharedClass(name, ctor, options) {
+  EventEmitter.call(this);
   this.name = name || ctor.remoteNamespace;
   this.ctor = ctor;
   this.options = options;
   this._methods = [];
   this._resolvers = [];
   this._disabledMethods = {};
+  this._methodIndex = null;
   const http = ctor && ctor.http;
 
   const defaultHttp = {};
@@ -68,6 +73,12 @@ function SharedClass(name, ctor, options) {
   assert(this.name, 'must include a remoteNamespace when creating a SharedClass');
 }
 
+/*!
+ * Inherit from `EventEmitter`.
+ */
+
+inherits(SharedClass, EventEmitter);
+
 /**
  * Get all shared methods belonging to this shared class.
  *
@@ -147,7 +158,9 @@ SharedClass.prototype.isMethodEnabled = function(sharedMethod) {
  */
 
 SharedClass.prototype.defineMethod = function(name, options, fn) {
-  return _define.call(this, this._methods, name, options, fn);
+  const sharedMethod = _define.call(this, this._methods, name, options, fn);
+  this._changed();
+  return sharedMethod;
 };
 
 function _define(methods, name, options, fn) {
@@ -180,6 +193,7 @@ function _define(methods, name, options, fn) {
 
 SharedClass.prototype.resolve = function(resolver) {
   this._resolvers.push(resolver);
+  this._changed();
 };
 
 /**
@@ -215,15 +229,78 @@ SharedClass.prototype.disableMethod = function(fn, isStatic) {
 /**
  * Find a sharedMethod with the given static or prototype method name.
  *
+ * Methods are looked up in an index rebuilt when methods are defined,
+ * resolved or disabled. Shared functions added directly to the constructor
+ * are found too, the index is rebuilt when a name is not found or when
+ * the method found was un-shared or its function was replaced.
+ *
  * @param {String} methodName The method name
  * Find a static or prototype method with the given name.
  * @returns {SharedMethod}
  */
 
 SharedClass.prototype.findMethodByName = function(methodName) {
-  return this.methods().filter(function(method) {
-    return method.isDelegateForName(methodName);
-  })[0];
+  const index = this._methodIndex;
+  if (index) {
+    const sharedMethod = index.methods[methodName];
+    if (sharedMethod &&
+        this._isIndexedMethod(methodName, sharedMethod,
+          index.functions[methodName])) {
+      return sharedMethod;
+    }
+  }
+
+  this._methodIndex = this._buildMethodIndex();
+  return this._methodIndex.methods[methodName];
+};
+
+SharedClass.prototype._buildMethodIndex = function() {
+  const methods = Object.create(null);
+  const functions = Object.create(null);
+  const sc = this;
+
+  this.methods().forEach(function(sharedMethod) {
+    const prefix = sharedMethod.isStatic ? '' : 'prototype.';
+    [sharedMethod.name].concat(sharedMethod.aliases).forEach(function(name) {
+      // the first method wins, the same way as a linear search
+      if (methods[prefix + name]) return;
+      methods[prefix + name] = sharedMethod;
+      functions[prefix + name] = sc._getSharedFunction(prefix + name);
+    });
+  });
+
+  return {methods: methods, functions: functions};
+};
+
+/*!
+ * Check that a method found in an index is still enabled and that
+ * the shared function of the constructor the index was built from (if any)
+ * was neither replaced nor un-shared since.
+ */
+
+SharedClass.prototype._isIndexedMethod = function(methodName, sharedMethod,
+  indexedFn) {
+  return this.isMethodEnabled(sharedMethod) &&
+    this._getSharedFunction(methodName) === indexedFn;
+};
+
+/*!
+ * Get the shared function of the constructor (or its prototype)
+ * with the given name, e.g. `find` or `prototype.save`.
+ */
+
+SharedClass.prototype._getSharedFunction = function(methodName) {
+  const isStatic = methodName.indexOf('prototype.') !== 0;
+  const obj = isStatic ? this.ctor : this.ctor && this.ctor.prototype;
+  const name = isStatic ? methodName : methodName.slice('prototype.'.length);
+  let fn;
+
+  try {
+    fn = obj && name !== 'super_' ? obj[name] : undefined;
+  } catch (e) {
+  }
+
+  if (typeof fn === 'function' && fn.shared && !fn.modelName) return fn;
 };
 
 /**
@@ -242,6 +319,12 @@ SharedClass.prototype.disableMethodByName = function(methodName) {
   }
 
   disableMethods[methodName] = true;
+  this._changed();
+};
+
+SharedClass.prototype._changed = function() {
+  this._methodIndex = null;
+  this.emit('change', this);
 };
 
 /**
@@ -16,8 +16,10 @@ const debug = require('debug')('strong-remoting:shared-method');
 const util = require('util');
 const traverse = require('traverse');
 const assert = require('assert');
+const cancellation = require('./cancellation');
 const Context = require('./context-base');
 const numberChecks = require('./number-checks');
+const constraints = require('./argument-constraints');
 
 const isInteger = numberChecks.isSafeInteger;
 const isSafeInteger = numberChecks.isSafeInteger;
@@ -64,10 +66,28 @@ const isSafeInteger = numberChecks.isSafeInteger;
  * - `query` - `req.query[argumentName]`.
  * - `path` - `req.params[argumentName]`.
  * - `header` - `req.headers[argumentName]`.
+ * - `ifMatch` - entity tags from `If-Match` header without quotes (an array
+ *   when the header lists multiple tags).
  * - `context` - the current `HttpContext`.
  * @property {Object} [accepts.rest] The REST mapping / settings for the argument.
  * @property {String} [accepts.type] Argument datatype; must be a
  * [Loopback type](http://docs.strongloop.com/display/LB/LoopBack+types).
+ * @property {Array} [accepts.enum] Allowed values of the argument.
+ * @property {Number|Date} [accepts.min] Minimum value of a number or date.
+ * @property {Number|Date} [accepts.max] Maximum value of a number or date.
+ * @property {Number} [accepts.minLength] Minimum length of a string.
+ * @property {Number} [accepts.maxLength] Maximum length of a string.
+ * @property {String|RegExp} [accepts.pattern] Regular expression a string
+ * must match.
+ * @property {String} [accepts.format] String format, one of `email`, `uri`
+ * or `uuid`.
+ * @property {*} [accepts.default] Value used when the argument is not
+ * provided, converted using the argument type.
+ *
+ * Arguments with `type: 'file'` (or `['file']`) and `http.source` set
+ * to `form` receive files uploaded via `multipart/form-data` requests as
+ * `UploadedFile` instances providing `filename`, `mimetype`, `size`,
+ * `buffer` and `createReadStream()`.
  * @property {Array} [aliases] A list of aliases for the method.
  * @property {Array|Object} [errors] Object or `Array` containing error definitions.
  * @property {Array} [http] HTTP-only options.
@@ -76,6 +96,16 @@ const isSafeInteger = numberChecks.isSafeInteger;
  * exposed.
  * @property {Number} [http.status] Default status code when the callback is called
  * _without_ an error.
+ * @property {Boolean|String} [http.etag] Send an `ETag` computed from
+ * the result, `'weak'` (or `true`) or `'strong'`, overrides the `etag`
+ * option of the REST adapter.
+ * @property {Boolean} [http.requireIfMatch] Reject requests without `If-Match`
+ * header with `428 Precondition Required`. Methods report a version mismatch
+ * by calling back with `PreconditionFailedError` (412).
+ * @property {Object} [http.multipart] Limits of `multipart/form-data` requests
+ * (`fileSize`, `files`, `fields`, `fieldSize`, `parts`), override
+ * `remotes.options.multipart`. Files are limited to 10MB, 10 files and
+ * 100 parts per request unless configured otherwise.
  * @property {String} [http.verb] HTTP method (verb) at which the method is available.
  * One of: get, post (default), put, del, or all
  * @property {Boolean} [isStatic] Whether the method is a static method or a prototype
@@ -85,11 +115,30 @@ const isSafeInteger = numberChecks.isSafeInteger;
  * The `err` argument is assumed; do not specify.  NOTE: Can have the same properties as
  * `accepts`, except for `http.target`.
  *
+ * Callback arguments can be sent as HTTP response metadata via `http.target`:
+ * `status`, `header` (the name is configured by `http.header`), `etag`
+ * or `lastModified`.
+ *
  * Additionally, one of the callback arguments can have `type: 'file'` and
  * `root:true`, in which case this argument is sent in the raw form as
- * a response body. Allowed values: `String`, `Buffer` or `ReadableStream`
+ * a response body. Allowed values: `String`, `Buffer`, `ReadableStream` or
+ * a seekable source `{size, createReadStream({start, end})}`. Files with
+ * a known size support `Range` requests. The `http` settings `disposition`
+ * and `filename` of this argument set the `Content-Disposition` header.
+ * @property {Boolean} [idempotent] Replay the stored response to REST
+ * requests repeated with the same `Idempotency-Key` header instead of invoking
+ * the method again. Keys are scoped by the authenticated user or the client
+ * IP address. Replayed responses bypass hooks and the `auth` phase.
+ * The store and the retention are configured via
+ * `remotes.options.idempotency` (`{store, ttl, maxEntries, maxBodySize}`).
+ * Default is `false`.
  * @property {Boolean} [shared] Whether the method is shared.  Default is `true`.
  * @property {Number} [status] The default status code.
+ * @property {Number} [timeout] Fail the invocation with `504 Gateway Timeout`
+ * when the method does not call back (or resolve the promise) in the given
+ * number of milliseconds, overrides `remotes.options.timeout`. Set to `0`
+ * to disable the timeout. Methods can stop their work when `ctx.signal`
+ * is aborted, which happens on timeouts and when the client disconnects.
  * @end
  *
  * @class
@@ -116,6 +165,8 @@ function SharedMethod(fn, name, sc, options) {
   this.documented = options.documented !== false && fn.documented !== false;
   this.http = options.http || fn.http || {};
   this.rest = options.rest || fn.rest || {};
+  this.timeout = options.timeout !== undefined ? options.timeout : fn.timeout;
+  this.idempotent = !!(options.idempotent || fn.idempotent);
   this.shared = options.shared;
   if (this.shared === undefined) {
     this.shared = true;
@@ -226,6 +277,8 @@ SharedMethod.prototype.invoke = function(scope, args, remotingOptions, ctx, cb)
   const method = this.getFunction();
   const sharedMethod = this;
   const formattedArgs = [];
+  const collectArgErrors = remotingOptions && remotingOptions.collectArgErrors;
+  const argErrors = [];
 
   // map the given arg data in order they are expected in
   if (accepts) {
@@ -239,20 +292,35 @@ SharedMethod.prototype.invoke = function(scope, args, remotingOptions, ctx, cb)
         uarg = validateInputArgument(uarg, desc, ctx, conversionOptions);
       } catch (e) {
         debug('- %s - ' + e.message, sharedMethod.name);
-        return cb(e);
+        if (!collectArgErrors) return cb(e);
+        argErrors.push(SharedMethod.describeArgError(desc, ctx, e));
       }
       // Add the argument even if it's undefined to stick with the accepts
       formattedArgs.push(uarg);
     }
   }
 
+  if (argErrors.length) {
+    return cb(SharedMethod.invalidArgumentsError(argErrors));
+  }
+
   // define the callback
   function callback(err) {
+    if (cancellation.isTimedOut(ctx)) {
+      debug('- %s - dropping the result of timed out invocation',
+        sharedMethod.name);
+      return;
+    }
     if (err) {
       return cb(err);
     }
     // args without err
     const rawArgs = [].slice.call(arguments, 1);
+    const returnsError = sharedMethod.validateReturnValues(
+      rawArgs, ctx, remotingOptions && remotingOptions.validateReturns,
+    );
+    if (returnsError) return cb(returnsError);
+
     const result = SharedMethod.toResult(returns, rawArgs, ctx);
 
     debug('- %s - result %j', sharedMethod.name, result);
@@ -271,7 +339,17 @@ SharedMethod.prototype.invoke = function(scope, args, remotingOptions, ctx, cb)
     if (retval && typeof retval.then === 'function') {
       return retval.then(
         function(args) {
+          if (cancellation.isTimedOut(ctx)) {
+            debug('- %s - dropping the result of timed out invocation',
+              sharedMethod.name);
+            return;
+          }
           if (returns.length === 1) args = [args];
+          const returnsError = sharedMethod.validateReturnValues(
+            args, ctx, remotingOptions && remotingOptions.validateReturns,
+          );
+          if (returnsError) return cb(returnsError);
+
           const result = SharedMethod.toResult(returns, args, ctx);
           debug('- %s - promise result %j', sharedMethod.name, result);
           cb(null, result);
@@ -287,6 +365,49 @@ SharedMethod.prototype.invoke = function(scope, args, remotingOptions, ctx, cb)
   }
 };
 
+/**
+ * Check values returned by the method against the types declared
+ * by `returns`. Return values of type `file` and streams are not checked.
+ *
+ * @param {Array} raw The values passed to the callback (without `err`).
+ * @param {Context} ctx Remoting request context.
+ * @param {Boolean|String} mode `true` to report mismatches as errors,
+ *   `'warn'` to emit a process warning instead. Other values disable
+ *   the validation.
+ * @returns {Error|undefined} The error (with `statusCode` 500) to report.
+ */
+
+SharedMethod.prototype.validateReturnValues = function(raw, ctx, mode) {
+  if (mode !== true && mode !== 'warn') return undefined;
+
+  const returns = this.returns;
+  const streams = this.streams && this.streams.returns;
+
+  for (let i = 0; i < returns.length && i < raw.length; i++) {
+    const desc = returns[i];
+    const name = desc.name || desc.arg;
+    const targetType = convertToBasicRemotingType(desc.type);
+    if (targetType === 'file' || streams) continue;
+
+    const converter = ctx.typeRegistry.getConverter(desc.type);
+    const options = SharedMethod.getConversionOptionsForArg(desc);
+    const err = converter.validate(ctx, raw[i], options);
+    if (!err) continue;
+
+    const msg = g.f('Invalid return value %j of %s. ', name, this.stringName) +
+      err.message;
+
+    if (mode === 'warn') {
+      process.emitWarning(msg, 'ReturnValueWarning');
+      continue;
+    }
+
+    return internalServerError(msg);
+  }
+
+  return undefined;
+};
+
 function badArgumentError(msg) {
   const err = new Error(msg);
   err.statusCode = 400;
@@ -327,7 +448,8 @@ function validateInputArgument(uarg, desc, ctx, conversionOptions) {
   }
 
   const converter = ctx.typeRegistry.getConverter(desc.type);
-  const err = converter.validate(ctx, uarg, conversionOptions);
+  const err = converter.validate(ctx, uarg, conversionOptions) ||
+    constraints.validate(desc, uarg);
   if (err) {
     err.message = g.f('Invalid argument %j. ', name) + err.message;
     throw err;
@@ -336,6 +458,51 @@ function validateInputArgument(uarg, desc, ctx, conversionOptions) {
   return uarg;
 }
 
+SharedMethod.validateInputArgument = validateInputArgument;
+
+/**
+ * Describe an invalid argument for the `details` of the error reported
+ * when the `collectArgErrors` option is enabled.
+ *
+ * @param {Object} desc Argument description.
+ * @param {Context} ctx Remoting request context.
+ * @param {Error} err The conversion or validation error.
+ * @returns {Object} `{name, source, message}` and `propertyPath` when the
+ *   error was reported for a nested property.
+ */
+
+SharedMethod.describeArgError = function(desc, ctx, err) {
+  const detail = {
+    name: desc.name || desc.arg,
+    source: typeof ctx.getArgSource === 'function' ?
+      ctx.getArgSource(desc) : undefined,
+    message: err.message,
+  };
+
+  if (err.propertyPath !== undefined) {
+    detail.propertyPath = err.propertyPath;
+  }
+
+  return detail;
+};
+
+/**
+ * Create a single error describing all invalid arguments.
+ *
+ * @param {Object[]} details Descriptions of invalid arguments as returned
+ *   by `SharedMethod.describeArgError()`.
+ * @returns {Error}
+ */
+
+SharedMethod.invalidArgumentsError = function(details) {
+  const names = details.map(function(d) { return d.name; });
+  const err = new Error(g.f('Invalid arguments: %s', names.join(', ')));
+  err.statusCode = 400;
+  err.code = 'INVALID_ARGUMENTS';
+  err.details = details;
+  return err;
+};
+
 /**
  * Returns an appropriate type based on a type specifier from remoting
  * metadata.
@@ -350,6 +517,10 @@ function convertToBasicRemotingType(type) {
   }
 
   if (typeof type === 'object') {
+    if (!type.modelName && Object.getPrototypeOf(type) === Object.prototype) {
+      // inline object definition, e.g. `{name: 'string'}`
+      return 'object';
+    }
     type = type.modelName || type.name;
   }
 
@@ -663,3 +834,56 @@ SharedMethod.getConversionOptionsForArg = function(arg) {
   }
   return options;
 };
+
+/**
+ * Convert the `default` value of an argument using the argument type.
+ *
+ * String defaults are coerced the same way as values from a query string,
+ * e.g. `default: '10'` of an `integer` argument becomes `10`. Other values
+ * are converted as typed (JSON) values, object and array defaults are copied
+ * first, so that methods modifying the value do not change the default.
+ *
+ * @param {Object} arg Definition of accepts argument.
+ * @param {Context} ctx Remoting request context.
+ * @returns {Object} The conversion result: `{value}` or `{error}`. Errors
+ *   have `statusCode` 500 because the default is part of the method config.
+ */
+SharedMethod.convertArgDefault = function(arg, ctx) {
+  const converter = ctx.typeRegistry.getConverter(arg.type);
+  const options = SharedMethod.getConversionOptionsForArg(arg);
+  let value = arg.default;
+  if (value !== null && typeof value === 'object')
+    value = JSON.parse(JSON.stringify(value));
+
+  const result = typeof value === 'string' ?
+    converter.fromSloppyValue(ctx, value, options) :
+    converter.fromTypedValue(ctx, value, options);
+
+  if (result.error) {
+    const err = result.error;
+    err.message = g.f('Invalid default value of argument %j. ',
+      arg.name || arg.arg) + err.message;
+    err.statusCode = 500;
+  }
+
+  return result;
+};
+
+/**
+ * Set `default` values of arguments that are `undefined`.
+ *
+ * @param {Object} args Argument values keyed by name, modified in place.
+ * @param {Context} ctx Remoting request context.
+ * @returns {Object} The `args` object.
+ */
+SharedMethod.prototype.applyArgDefaults = function(args, ctx) {
+  this.accepts.forEach(function(arg) {
+    const name = arg.name || arg.arg;
+    if (arg.default === undefined || args[name] !== undefined) return;
+
+    const result = SharedMethod.convertArgDefault(arg, ctx);
+    if (result.error) throw result.error;
+    args[name] = result.value;
+  });
+  return args;
+};
@@ -70,7 +70,8 @@ SocketIOAdapter.prototype.createHandler = function() {
 
       if (method) {
         // create context NEED ARGS
-        const ctx = new Context(socket.request, ctorArgs, args);
+        const ctx = new Context(socket.request, ctorArgs, args,
+          remotes._typeRegistry);
 
         adapter.invoke(ctx, method, args, function(err, result) {
           socket.emit('result', {
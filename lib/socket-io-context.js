@@ -28,10 +28,11 @@ const assert = require('assert');
  * @return {SocketIOContext}
  */
 
-function SocketIOContext(req, ctorArgs, args) {
+function SocketIOContext(req, ctorArgs, args, typeRegistry) {
   this.req = req;
   this.ctorArgs = ctorArgs;
   this.args = args;
+  this.typeRegistry = typeRegistry;
 }
 
 /**
@@ -92,6 +93,15 @@ SocketIOContext.prototype.getResultByName = function(name, options) {
 SocketIOContext.prototype.invoke = function(scope, method, fn) {
   const args = method.isSharedCtor ? this.ctorArgs : this.args;
   const accepts = method.accepts;
+
+  if (args && this.typeRegistry) {
+    try {
+      method.applyArgDefaults(args, this);
+    } catch (err) {
+      return fn(err);
+    }
+  }
+
   const returns = method.returns;
   const errors = method.errors;
   let result;
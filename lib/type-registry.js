@@ -6,6 +6,7 @@
 'use strict';
 
 const ArrayConverter = require('./types/array');
+const InlineObjectConverter = require('./types/inline-object');
 const assert = require('assert');
 const debug = require('debug')('strong-remoting:types');
 const g = require('strong-globalize')();
@@ -15,6 +16,9 @@ module.exports = TypeRegistry;
 function TypeRegistry(options) {
   this._options = options || {};
   this._types = Object.create(null);
+  // incremented whenever a converter is registered or deleted, consumers
+  // caching converters use it to detect outdated caches
+  this._version = 0;
   this._registerBuiltinTypes();
 }
 
@@ -44,6 +48,12 @@ TypeRegistry.prototype.registerType = function(typeName, converter) {
   }
 
   this._types[typeName] = converter;
+  this._version++;
+};
+
+TypeRegistry.prototype.deleteType = function(typeName) {
+  delete this._types[typeName.toLowerCase()];
+  this._version++;
 };
 
 TypeRegistry.prototype.registerObjectType = function(typeName, factoryFn) {
@@ -84,8 +94,8 @@ TypeRegistry.prototype.getConverter = function(type) {
     Object.getPrototypeOf(type) === Object.prototype;
 
   if (isAnonynousObjectTypeDefinition) {
-    debug('Treating inline object definition as a free-form object:', type);
-    type = 'object';
+    debug('Using inline object definition:', type);
+    return new InlineObjectConverter(type);
   }
 
   assert(typeof type === 'string' || Array.isArray(type),
@@ -119,6 +129,8 @@ TypeRegistry.prototype._registerBuiltinTypes = function() {
   this.registerType('object', require('./types/object'));
   this.registerType('string', require('./types/string'));
   this.registerType('geopoint', require('./types/geopoint'));
+  // "file" cannot be registered via registerType() to prevent overrides
+  this._types.file = require('./types/file');
 };
 
 TypeRegistry.prototype._getUnknownTypeConverter = function(type) {
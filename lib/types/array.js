@@ -10,6 +10,7 @@ const debug = require('debug')('strong-remoting:http-coercion');
 const escapeRegex = require('escape-string-regexp');
 const g = require('strong-globalize')();
 const looksLikeJsonArray = require('../looks-like-json').looksLikeJsonArray;
+const withPropertyPath = require('./inline-object').withPropertyPath;
 
 module.exports = ArrayConverter;
 
@@ -35,7 +36,7 @@ ArrayConverter.prototype.fromTypedValue = function(ctx, value, options) {
       value[ix], itemResult, this._itemType);
 
     if (itemResult.error)
-      return itemResult;
+      return {error: itemError(itemResult.error, ix)};
     items[ix] = itemResult.value;
   }
   return {value: items};
@@ -113,7 +114,7 @@ ArrayConverter.prototype._fromSloppyData = function(ctx, value, options) {
     itemResult = validateConverterResult(itemResult);
     debug('item %d: sloppy converted %j to %j', ix, value[ix], itemResult);
     if (itemResult.error)
-      return itemResult;
+      return {error: itemError(itemResult.error, ix)};
     items[ix] = itemResult.value;
   }
   return {value: items};
@@ -127,13 +128,17 @@ ArrayConverter.prototype.validate = function(ctx, value, options) {
     return notAnArrayError();
 
   const itemConverter = ctx.typeRegistry.getConverter(this._itemType);
-  let itemError;
   for (const ix in value) {
-    itemError = itemConverter.validate(ctx, value[ix], options);
-    if (itemError) return itemError;
+    const err = itemConverter.validate(ctx, value[ix], options);
+    if (err) return itemError(err, ix);
   }
 };
 
+function itemError(err, ix) {
+  // include the index in paths of invalid properties of nested objects
+  return err.propertyPath === undefined ? err : withPropertyPath(err, +ix);
+}
+
 function notAnArrayError() {
   const err = new Error(g.f('Value is not an array.'));
   err.statusCode = 400;
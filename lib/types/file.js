@@ -0,0 +1,38 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const g = require('strong-globalize')();
+const UploadedFile = require('../uploaded-file');
+
+// Files can be provided only by multipart requests,
+// see lib/multipart.js for the parser creating UploadedFile instances.
+module.exports = {
+  fromTypedValue: function(ctx, value, options) {
+    const error = this.validate(ctx, value, options);
+    return error ? {error: error} : {value: value};
+  },
+
+  fromSloppyValue: function(ctx, value, options) {
+    if (value === '') {
+      // Pass on empty string as undefined.
+      // undefined was chosen so that it plays well with ES6 default parameters.
+      return {value: undefined};
+    }
+
+    return this.fromTypedValue(ctx, value, options);
+  },
+
+  validate: function(ctx, value, options) {
+    if (value === undefined || value === null || value instanceof UploadedFile)
+      return null;
+
+    const err = new Error(g.f('Value is not a file uploaded ' +
+      'via a {{multipart/form-data}} request.'));
+    err.statusCode = 400;
+    return err;
+  },
+};
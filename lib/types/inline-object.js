@@ -0,0 +1,177 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const debug = require('debug')('strong-remoting:http-coercion');
+const g = require('strong-globalize')();
+const constraints = require('../argument-constraints');
+const looksLikeJsonObject = require('../looks-like-json').looksLikeJsonObject;
+
+module.exports = InlineObjectConverter;
+
+/**
+ * Converter for anonymous object types defined inline in remoting metadata,
+ * e.g. `{type: {name: 'string', address: {city: 'string'}}}`.
+ *
+ * Property values are either a type (a type name, an array type or another
+ * inline definition) or a property definition with `type` and optional
+ * `required`, `description` and constraint settings like `enum` or `min`.
+ *
+ * Properties not described by the definition are passed through unchanged.
+ *
+ * @param {Object} definition The inline object definition.
+ */
+function InlineObjectConverter(definition) {
+  const properties = this._properties = Object.create(null);
+
+  Object.keys(definition).forEach(function(key) {
+    properties[key] = normalizePropertyDefinition(definition[key]);
+  });
+}
+
+InlineObjectConverter.isPropertyDefinition = isPropertyDefinition;
+InlineObjectConverter.withPropertyPath = withPropertyPath;
+
+InlineObjectConverter.prototype.fromTypedValue = function(ctx, value, options) {
+  return this._convertProperties(ctx, value, options, 'fromTypedValue');
+};
+
+InlineObjectConverter.prototype.fromSloppyValue = function(ctx, value, options) {
+  if (value === undefined || value === '') {
+    // undefined was chosen so that it plays well with ES6 default parameters.
+    return {value: undefined};
+  }
+
+  if (value === null || value === 'null')
+    return {value: null};
+
+  if (looksLikeJsonObject(value)) {
+    try {
+      const result = JSON.parse(value);
+      debug('parsed %j as JSON: %j', value, result);
+      return this.fromTypedValue(ctx, result, options);
+    } catch (ex) {
+      debug('Cannot parse object value %j. %s', value, ex);
+      const err = new Error(g.f('Cannot parse JSON-encoded object value.'));
+      err.statusCode = 400;
+      return {error: err};
+    }
+  }
+
+  // nested values of objects built from query strings or forms are strings
+  return this._convertProperties(ctx, value, options, 'fromSloppyValue');
+};
+
+InlineObjectConverter.prototype.validate = function(ctx, value, options) {
+  if (value === undefined || value === null)
+    return null;
+
+  const err = getObjectError(ctx, value);
+  if (err) return err;
+
+  for (const key in this._properties) {
+    const property = this._properties[key];
+    const propValue = value[key];
+
+    if (property.required) {
+      const isNotSet = propValue === null || propValue === undefined ||
+        propValue === '';
+      if (isNotSet) {
+        return withPropertyPath(requiredPropertyError(), key);
+      }
+    }
+
+    const converter = ctx.typeRegistry.getConverter(property.type);
+    const propError = converter.validate(ctx, propValue, options) ||
+      constraints.validate(property, propValue);
+    if (propError) return withPropertyPath(propError, key);
+  }
+
+  return null;
+};
+
+InlineObjectConverter.prototype._convertProperties = function(ctx, value,
+  options, conversion) {
+  if (value === undefined || value === null)
+    return {value: value};
+
+  const err = getObjectError(ctx, value);
+  if (err) return {error: err};
+
+  const result = Object.assign({}, value);
+
+  for (const key in this._properties) {
+    if (!(key in value)) continue;
+
+    const converter = ctx.typeRegistry.getConverter(this._properties[key].type);
+    const propResult = converter[conversion](ctx, value[key], options);
+    debug('property %s: %s converted %j to %j',
+      key, conversion, value[key], propResult);
+
+    if (propResult.error)
+      return {error: withPropertyPath(propResult.error, key)};
+
+    if (propResult.value === undefined) {
+      delete result[key];
+    } else {
+      result[key] = propResult.value;
+    }
+  }
+
+  return {value: result};
+};
+
+function normalizePropertyDefinition(property) {
+  if (isPropertyDefinition(property))
+    return property;
+  return {type: property};
+}
+
+function isPropertyDefinition(property) {
+  return !!property && typeof property === 'object' &&
+    !Array.isArray(property) && property.type !== undefined;
+}
+
+function getObjectError(ctx, value) {
+  // arrays are never valid values of inline object types
+  return ctx.typeRegistry.getConverter('object').validate(ctx, value);
+}
+
+function requiredPropertyError() {
+  const err = new Error(g.f('Value is required.'));
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Build an error describing an invalid (nested) property.
+ *
+ * The path of the failing property is stored in `err.propertyPath`,
+ * e.g. `address.city` or `tags[1]`. Converters of container types call this
+ * function to prepend their own segment to the path reported by nested
+ * converters.
+ *
+ * @param {Error} cause The error reported by the property converter.
+ * @param {String|Number} segment The property name or array index.
+ * @returns {Error}
+ * @private
+ */
+function withPropertyPath(cause, segment) {
+  const reason = cause.propertyPath === undefined ?
+    cause.message : cause.propertyReason;
+
+  let path = typeof segment === 'number' ? '[' + segment + ']' : segment;
+  if (cause.propertyPath !== undefined) {
+    path += cause.propertyPath[0] === '[' ?
+      cause.propertyPath : '.' + cause.propertyPath;
+  }
+
+  const err = new Error(g.f('Invalid property %j. %s', path, reason));
+  err.statusCode = cause.statusCode || 400;
+  err.propertyPath = path;
+  Object.defineProperty(err, 'propertyReason', {value: reason});
+  return err;
+}
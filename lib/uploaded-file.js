@@ -0,0 +1,62 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const PassThrough = require('stream').PassThrough;
+
+module.exports = UploadedFile;
+
+/**
+ * A file received in a `multipart/form-data` request. Values of `accepts`
+ * arguments with `type: 'file'` are instances of this class.
+ *
+ * @param {Object} data File data and metadata.
+ * @property {String} fieldname Name of the form field.
+ * @property {String} filename Name of the file as sent by the client.
+ * @property {String} encoding Transfer encoding of the part.
+ * @property {String} mimetype Content type of the part.
+ * @property {Number} size Size of the file in bytes.
+ * @property {Buffer} buffer File contents.
+ * @class
+ */
+
+function UploadedFile(data) {
+  this.fieldname = data.fieldname;
+  this.filename = data.filename;
+  this.encoding = data.encoding;
+  this.mimetype = data.mimetype;
+  this.size = data.buffer.length;
+  this.buffer = data.buffer;
+}
+
+/**
+ * Create a readable stream of the file contents.
+ *
+ * @options {Object} [options]
+ * @property {Number} [start] The offset of the first byte to read.
+ * @property {Number} [end] The offset of the last byte to read (inclusive).
+ * @returns {stream.Readable}
+ */
+
+UploadedFile.prototype.createReadStream = function(options) {
+  options = options || {};
+  const start = options.start || 0;
+  const end = options.end === undefined ? this.buffer.length : options.end + 1;
+  const stream = new PassThrough();
+  stream.end(this.buffer.slice(start, end));
+  return stream;
+};
+
+UploadedFile.prototype.toJSON = function() {
+  // do not dump file contents to JSON responses and logs
+  return {
+    fieldname: this.fieldname,
+    filename: this.filename,
+    encoding: this.encoding,
+    mimetype: this.mimetype,
+    size: this.size,
+  };
+};
@@ -0,0 +1,84 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const constraints = require('../lib/argument-constraints');
+
+describe('argument constraints', function() {
+  it('ignores empty values', function() {
+    expectValid({type: 'string', minLength: 1}, undefined);
+    expectValid({type: 'string', enum: ['a']}, null);
+  });
+
+  it('checks "enum"', function() {
+    const desc = {type: 'string', enum: ['asc', 'desc']};
+    expectValid(desc, 'asc');
+    expectInvalid(desc, 'up', 'Value must be one of "asc", "desc".');
+  });
+
+  it('checks "min" and "max" of numbers', function() {
+    const desc = {type: 'number', min: 1, max: 10};
+    expectValid(desc, 1);
+    expectValid(desc, 10);
+    expectInvalid(desc, 0, 'Value must not be less than 1.');
+    expectInvalid(desc, 11, 'Value must not be greater than 10.');
+  });
+
+  it('checks "min" and "max" of dates', function() {
+    const desc = {type: 'date', min: '2019-01-01T00:00:00.000Z'};
+    expectValid(desc, new Date('2019-06-01'));
+    expectInvalid(desc, new Date('2018-06-01'), /less than/);
+  });
+
+  it('checks "minLength" and "maxLength"', function() {
+    const desc = {type: 'string', minLength: 2, maxLength: 3};
+    expectValid(desc, 'ab');
+    expectInvalid(desc, 'a', 'Value must be at least 2 characters long.');
+    expectInvalid(desc, 'abcd', 'Value must be at most 3 characters long.');
+  });
+
+  it('checks "pattern"', function() {
+    expectValid({type: 'string', pattern: '^[a-z]+$'}, 'abc');
+    expectInvalid({type: 'string', pattern: '^[a-z]+$'}, 'ABC', /pattern/);
+    expectInvalid({type: 'string', pattern: /^\d+$/}, '12a', /pattern/);
+  });
+
+  it('checks "format"', function() {
+    expectValid({type: 'string', format: 'email'}, 'jon@example.com');
+    expectInvalid({type: 'string', format: 'email'}, 'jon',
+      'Value is not a valid email.');
+
+    expectValid({type: 'string', format: 'uri'}, 'https://example.com/x');
+    expectInvalid({type: 'string', format: 'uri'}, 'example', /uri/);
+
+    expectValid({type: 'string', format: 'uuid'},
+      '0e8f3a8e-1d4b-4a8e-9b5c-2f1e6d7c8b9a');
+    expectInvalid({type: 'string', format: 'uuid'}, '0e8f3a8e', /uuid/);
+  });
+
+  it('applies constraints to array items', function() {
+    const desc = {type: ['number'], min: 0};
+    expectValid(desc, [0, 1]);
+    expectInvalid(desc, [1, -1],
+      'Invalid array item 1. Value must not be less than 0.');
+  });
+
+  function expectValid(desc, value) {
+    expect(constraints.validate(desc, value)).to.equal(null);
+  }
+
+  function expectInvalid(desc, value, message) {
+    const err = constraints.validate(desc, value);
+    expect(err).to.be.an.instanceOf(Error);
+    expect(err).to.have.property('statusCode', 400);
+    if (message instanceof RegExp) {
+      expect(err.message).to.match(message);
+    } else {
+      expect(err.message).to.equal(message);
+    }
+  }
+});
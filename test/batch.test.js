@@ -0,0 +1,200 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const express = require('express');
+const RemoteObjects = require('../');
+const SharedClass = RemoteObjects.SharedClass;
+const supertest = require('supertest');
+
+describe('batch requests', function() {
+  let app, remotes, calls;
+
+  beforeEach(function() {
+    remotes = RemoteObjects.create({errorHandler: {debug: true, log: false}});
+    calls = [];
+
+    const sharedClass = new SharedClass('products', function() {});
+    sharedClass.defineMethod('find', {
+      isStatic: true,
+      accepts: {arg: 'limit', type: 'number', http: {source: 'query'}},
+      returns: {arg: 'data', type: 'array', root: true},
+      http: {verb: 'get', path: '/'},
+    }, function(limit, cb) {
+      calls.push('find');
+      cb(null, [{id: 1}, {id: 2}].slice(0, limit || 2));
+    });
+    sharedClass.defineMethod('create', {
+      isStatic: true,
+      accepts: {arg: 'data', type: 'object', http: {source: 'body'}},
+      returns: {arg: 'data', type: 'object', root: true},
+      http: {verb: 'post', path: '/', status: 201},
+    }, function(data, cb) {
+      calls.push('create');
+      if (!data.name) {
+        const err = new Error('name is required');
+        err.statusCode = 422;
+        return cb(err);
+      }
+      cb(null, {id: 3, name: data.name});
+    });
+    sharedClass.defineMethod('whoami', {
+      isStatic: true,
+      accepts: {arg: 'user', type: 'string', http: {source: 'header'}},
+      returns: {arg: 'user', type: 'string'},
+      http: {verb: 'get'},
+    }, function(user, cb) { cb(null, user); });
+    remotes.addClass(sharedClass);
+
+    givenApp({batch: true});
+  });
+
+  it('runs sub-requests and returns their results', function() {
+    return batch([
+      {method: 'GET', path: '/products?limit=1'},
+      {method: 'POST', path: '/products', body: {name: 'pen'}},
+    ]).then(function(res) {
+      expect(res.body).to.have.length(2);
+      expect(res.body[0]).to.have.property('status', 200);
+      expect(res.body[0].body).to.eql([{id: 1}]);
+      expect(res.body[1]).to.have.property('status', 201);
+      expect(res.body[1].body).to.eql({id: 3, name: 'pen'});
+      expect(res.body[1].headers).to.have.property('content-type')
+        .match(/application\/json/);
+    });
+  });
+
+  it('runs remote hooks for sub-requests', function() {
+    const hooks = [];
+    remotes.before('products.*', function(ctx, next) {
+      hooks.push(ctx.method.name);
+      next();
+    });
+
+    return batch([
+      {path: '/products'},
+      {method: 'POST', path: '/products', body: {name: 'pen'}},
+    ]).then(() => expect(hooks).to.eql(['find', 'create']));
+  });
+
+  it('reports errors of sub-requests', function() {
+    return batch([
+      {method: 'POST', path: '/products', body: {}},
+      {path: '/unknown'},
+      {path: '/products'},
+    ]).then(function(res) {
+      expect(res.body.map(r => r.status)).to.eql([422, 404, 200]);
+      expect(res.body[0].body.error)
+        .to.have.property('message', 'name is required');
+    });
+  });
+
+  it('stops at the first failure when requested', function() {
+    return batch({
+      stopOnError: true,
+      requests: [
+        {method: 'POST', path: '/products', body: {}},
+        {path: '/products'},
+      ],
+    }).then(function(res) {
+      expect(res.body.map(r => r.status)).to.eql([422, 424]);
+      expect(res.body[1]).to.have.property('skipped', true);
+      expect(calls).to.eql(['create']);
+    });
+  });
+
+  it('runs sub-requests in parallel when requested', function() {
+    return batch({
+      parallel: true,
+      requests: [{path: '/products'}, {path: '/products?limit=1'}],
+    }).then(function(res) {
+      expect(res.body.map(r => r.status)).to.eql([200, 200]);
+      expect(res.body[1].body).to.eql([{id: 1}]);
+    });
+  });
+
+  it('passes headers to sub-requests', function() {
+    return supertest(app).post('/batch')
+      .set('User', 'inherited')
+      .send([
+        {path: '/products/whoami'},
+        {path: '/products/whoami', headers: {User: 'own'}},
+      ])
+      .expect(200)
+      .then(function(res) {
+        expect(res.body.map(r => r.body.user)).to.eql(['inherited', 'own']);
+      });
+  });
+
+  it('runs application middleware of sub-paths', function() {
+    app = express();
+    app.use('/api/products/whoami', function(req, res, next) {
+      if (req.get('User') === 'admin') return next();
+      res.status(403).json({error: {statusCode: 403}});
+    });
+    app.use('/api', remotes.handler('rest', {batch: true}));
+
+    return supertest(app).post('/api/batch')
+      .send([
+        {path: '/products/whoami'},
+        {path: '/products/whoami', headers: {User: 'admin'}},
+      ])
+      .expect(200)
+      .then(function(res) {
+        expect(res.body.map(r => r.status)).to.eql([403, 200]);
+        expect(res.body[1].body).to.eql({user: 'admin'});
+      });
+  });
+
+  it('runs sub-requests of handlers mounted by sub-apps', function() {
+    const subApp = express();
+    subApp.use('/rest', remotes.handler('rest', {batch: true}));
+    app = express();
+    app.use('/api', subApp);
+
+    return supertest(app).post('/api/rest/batch')
+      .send([{path: '/products?limit=1'}])
+      .expect(200)
+      .then(function(res) {
+        expect(res.body.map(r => r.status)).to.eql([200]);
+        expect(res.body[0].body).to.eql([{id: 1}]);
+      });
+  });
+
+  it('rejects invalid batch requests', function() {
+    givenApp({batch: {maxItems: 1}});
+    return supertest(app).post('/batch').send({}).expect(400)
+      .then(() => batch([{path: '/a'}, {path: '/b'}], 400))
+      .then(() => batch([{path: 'relative'}], 400));
+  });
+
+  it('rejects nested batch requests', function() {
+    const nested = [{path: '/products'}];
+    return batch([
+      {method: 'POST', path: '/batch', body: nested},
+      {method: 'POST', path: '/batch/', body: nested},
+      {method: 'POST', path: '/BATCH', body: nested},
+    ]).then(function(res) {
+      expect(res.body.map(r => r.status)).to.eql([400, 400, 400]);
+      expect(calls).to.eql([]);
+    });
+  });
+
+  it('is disabled by default', function() {
+    givenApp({});
+    return supertest(app).post('/batch').send([]).expect(404);
+  });
+
+  function givenApp(options) {
+    app = express();
+    app.use(remotes.handler('rest', options));
+  }
+
+  function batch(data, status) {
+    return supertest(app).post('/batch').send(data).expect(status || 200);
+  }
+});
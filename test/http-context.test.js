@@ -0,0 +1,61 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const HttpContext = require('../lib/http-context');
+const SharedMethod = require('../lib/shared-method');
+const TypeRegistry = require('../lib/type-registry');
+
+describe('HttpContext', function() {
+  describe('compileArgs()', function() {
+    let registry, method;
+    beforeEach(function() {
+      registry = new TypeRegistry({warnOnUnknownType: false});
+      method = new SharedMethod(function() {}, 'find', {name: 'Product'}, {
+        isStatic: true,
+        accepts: [
+          {arg: 'limit', type: 'number', http: {source: 'query'}},
+          {arg: 'filter', type: 'custom'},
+        ],
+      });
+    });
+
+    it('resolves converters of all arguments', function() {
+      const steps = HttpContext.compileArgs(method, registry);
+
+      expect(steps.map(s => s.name)).to.eql(['limit', 'filter']);
+      expect(steps[0].converter).to.equal(registry.getConverter('number'));
+      expect(steps[1].converter).to.equal(registry.getConverter('any'));
+    });
+
+    it('reuses the plan for the same method', function() {
+      const steps = HttpContext.compileArgs(method, registry);
+      expect(HttpContext.compileArgs(method, registry)).to.equal(steps);
+    });
+
+    it('compiles again when a type is registered', function() {
+      HttpContext.compileArgs(method, registry);
+      const converter = {
+        fromTypedValue: function(ctx, value) { return {value: value}; },
+        fromSloppyValue: function(ctx, value) { return {value: value}; },
+        validate: function() {},
+      };
+      registry.registerType('custom', converter);
+
+      const steps = HttpContext.compileArgs(method, registry);
+      expect(steps[1].converter).to.equal(converter);
+    });
+
+    it('compiles again when accepts are changed', function() {
+      HttpContext.compileArgs(method, registry);
+      method.accepts.push({arg: 'offset', type: 'number'});
+
+      const steps = HttpContext.compileArgs(method, registry);
+      expect(steps.map(s => s.name)).to.eql(['limit', 'filter', 'offset']);
+    });
+  });
+});
@@ -183,6 +183,40 @@ describe('HttpInvocation', function() {
       });
     });
 
+    it('should rebuild errors from problem details', function(done) {
+      const method = givenSharedStaticMethod({});
+      const inv = givenInvocation(method);
+      const res = {
+        statusCode: 422,
+        headers: {'content-type': 'application/problem+json'},
+        body: {
+          type: 'https://example.com/problems/invalid-name',
+          title: 'Invalid name',
+          status: 422,
+          detail: 'The name is too long.',
+          instance: '/products',
+          name: 'ValidationError',
+          code: 'INVALID_NAME',
+        },
+      };
+
+      inv.transformResponse(res, res.body, function(err) {
+        if (!err)
+          return done(new Error('transformResponse should have failed.'));
+
+        expect(err).to.be.instanceOf(Error);
+        expect(err).to.have.property('name', 'ValidationError');
+        expect(err).to.have.property('message', 'The name is too long.');
+        expect(err).to.have.property('statusCode', 422);
+        expect(err).to.have.property('code', 'INVALID_NAME');
+        expect(err).to.have.property('type',
+          'https://example.com/problems/invalid-name');
+        expect(err).to.have.property('title', 'Invalid name');
+        expect(err).to.have.property('instance', '/products');
+        done();
+      });
+    });
+
     function transformReturnType(returns, typeName, typeFactoryFn, res, cb) {
       const method = givenSharedStaticMethod({returns: returns});
 
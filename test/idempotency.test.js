@@ -0,0 +1,251 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const express = require('express');
+const RemoteObjects = require('../');
+const SharedClass = RemoteObjects.SharedClass;
+const supertest = require('supertest');
+
+describe('idempotency keys', function() {
+  let app, remotes, payments, pending;
+
+  beforeEach(function() {
+    remotes = RemoteObjects.create({errorHandler: {debug: true, log: false}});
+    payments = [];
+    pending = null;
+
+    const sharedClass = new SharedClass('payments', function() {});
+    sharedClass.defineMethod('create', {
+      isStatic: true,
+      idempotent: true,
+      accepts: {arg: 'data', type: 'object', http: {source: 'body'}},
+      returns: [
+        {arg: 'data', type: 'object', root: true},
+        {arg: 'location', type: 'string', http: {target: 'header'}},
+      ],
+      http: {verb: 'post', path: '/', status: 201},
+    }, function(data, cb) {
+      if (data.fail) return cb(new Error('payment failed'));
+      function pay() {
+        payments.push(data);
+        cb(null, {id: payments.length, amount: data.amount},
+          '/payments/' + payments.length);
+      }
+      if (data.slow) pending = pay;
+      else pay();
+    });
+
+    sharedClass.defineMethod('refund', {
+      isStatic: true,
+      accepts: {arg: 'data', type: 'object', http: {source: 'body'}},
+      http: {verb: 'post'},
+    }, function(data, cb) { payments.push(data); cb(); });
+
+    sharedClass.defineMethod('upload', {
+      isStatic: true,
+      idempotent: true,
+      accepts: {arg: 'receipt', type: 'file', http: {source: 'form'}},
+      returns: {arg: 'size', type: 'number'},
+      http: {verb: 'post'},
+    }, function(receipt, cb) {
+      payments.push(receipt);
+      cb(null, receipt.size);
+    });
+    remotes.addClass(sharedClass);
+
+    app = express();
+    app.use(remotes.handler('rest'));
+  });
+
+  it('replays the response of retried requests', function() {
+    let first;
+    return pay('key-1', {amount: 10})
+      .expect(201)
+      .then(function(res) {
+        first = res;
+        return pay('key-1', {amount: 10})
+          .expect('Idempotent-Replayed', 'true')
+          .expect('Location', '/payments/1')
+          .expect('Content-Type', first.headers['content-type'])
+          .expect(201);
+      })
+      .then(function(res) {
+        expect(res.body).to.eql(first.body);
+        expect(payments).to.have.length(1);
+      });
+  });
+
+  it('invokes the method for different keys', function() {
+    return pay('key-1', {amount: 10}).expect(201)
+      .then(() => pay('key-2', {amount: 10}).expect(201))
+      .then(() => pay(undefined, {amount: 10}).expect(201))
+      .then(() => expect(payments).to.have.length(3));
+  });
+
+  it('rejects retries with a different payload with 422', function() {
+    return pay('key-1', {amount: 10}).expect(201)
+      .then(() => pay('key-1', {amount: 20}).expect(422))
+      .then(function(res) {
+        expect(res.body.error).to.have.property('code',
+          'IDEMPOTENCY_KEY_MISMATCH');
+        expect(payments).to.have.length(1);
+      });
+  });
+
+  it('rejects retries of requests in progress with 409', function() {
+    const first = pay('key-1', {amount: 10, slow: true}).then();
+    return waitForPending()
+      .then(() => pay('key-1', {amount: 10, slow: true}).expect(409))
+      .then(function(res) {
+        expect(res.body.error).to.have.property('code',
+          'IDEMPOTENCY_KEY_IN_USE');
+        pending();
+        return first;
+      })
+      .then(function(res) {
+        expect(res.status).to.equal(201);
+      });
+  });
+
+  it('releases keys of failed requests', function() {
+    return pay('key-1', {fail: true}).expect(500)
+      .then(() => pay('key-1', {fail: true}).expect(500))
+      .then(function(res) {
+        expect(res.headers).to.not.have.property('idempotent-replayed');
+      });
+  });
+
+  it('rejects retries uploading a different file with 422', function() {
+    function upload(contents) {
+      return supertest(app).post('/payments/upload')
+        .set('Idempotency-Key', 'key-1')
+        .attach('receipt', Buffer.from(contents), 'receipt.txt');
+    }
+
+    return upload('abc').expect(200)
+      .then(() => upload('abd').expect(422))
+      .then(() => upload('abc').expect(200)
+        .expect('Idempotent-Replayed', 'true'))
+      .then(() => expect(payments).to.have.length(1));
+  });
+
+  it('does not store responses larger than maxBodySize', function() {
+    remotes.options.idempotency = {maxBodySize: 10};
+    app = express();
+    app.use(remotes.handler('rest'));
+
+    return pay('key-1', {amount: 10}).expect(201)
+      .then(() => pay('key-1', {amount: 10}).expect(201))
+      .then(function(res) {
+        expect(res.headers).to.not.have.property('idempotent-replayed');
+        expect(payments).to.have.length(2);
+      });
+  });
+
+  it('removes the oldest keys from a full memory store', function(done) {
+    const store = new RemoteObjects.IdempotencyMemoryStore({maxEntries: 2});
+    store.begin('key-1', 'a', 1000, function() {
+      store.begin('key-2', 'b', 1000, function() {
+        store.begin('key-3', 'c', 1000, function() {
+          store.begin('key-3', 'c', 1000, function(err, record) {
+            if (err) return done(err);
+            expect(record).to.have.property('fingerprint', 'c');
+            store.begin('key-1', 'a', 1000, function(err, record) {
+              if (err) return done(err);
+              expect(record).to.equal(undefined);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('ignores the key for methods not marked as idempotent', function() {
+    function refund() {
+      return supertest(app).post('/payments/refund')
+        .set('Idempotency-Key', 'key-1')
+        .send({amount: 10})
+        .expect(204);
+    }
+    return refund().then(refund)
+      .then(() => expect(payments).to.have.length(2));
+  });
+
+  it('uses the store configured by remotes options', function() {
+    const store = new RemoteObjects.IdempotencyMemoryStore();
+    const keys = [];
+    const begin = store.begin;
+    store.begin = function(key) {
+      keys.push(key);
+      return begin.apply(this, arguments);
+    };
+    remotes.options.idempotency = {store: store};
+    app = express();
+    app.use(remotes.handler('rest'));
+
+    return pay('key-1', {amount: 10}).expect(201)
+      .then(function() {
+        expect(keys).to.have.length(1);
+        expect(keys[0]).to.match(/^payments\.create:ip:.+:key-1$/);
+      });
+  });
+
+  it('does not share keys of anonymous clients', function() {
+    app = express();
+    app.set('trust proxy', true);
+    app.use(remotes.handler('rest'));
+
+    return pay('key-1', {amount: 10}).set('X-Forwarded-For', '10.0.0.1')
+      .expect(201)
+      .then(() => pay('key-1', {amount: 10})
+        .set('X-Forwarded-For', '10.0.0.2')
+        .expect(201))
+      .then(function(res) {
+        expect(res.headers).to.not.have.property('idempotent-replayed');
+        expect(payments).to.have.length(2);
+      });
+  });
+
+  it('scopes keys by the authenticated user', function() {
+    let userId = 1;
+    app = express();
+    app.use(function(req, res, next) {
+      req.accessToken = {id: 'token-' + userId, userId: userId};
+      next();
+    });
+    app.use(remotes.handler('rest'));
+
+    return pay('key-1', {amount: 10}).expect(201)
+      .then(() => pay('key-1', {amount: 10}).expect(201)
+        .expect('Idempotent-Replayed', 'true'))
+      .then(function() {
+        userId = 2;
+        return pay('key-1', {amount: 10}).expect(201);
+      })
+      .then(function(res) {
+        expect(res.headers).to.not.have.property('idempotent-replayed');
+        expect(payments).to.have.length(2);
+      });
+  });
+
+  function pay(key, data) {
+    const req = supertest(app).post('/payments');
+    if (key) req.set('Idempotency-Key', key);
+    return req.send(data);
+  }
+
+  function waitForPending() {
+    return new Promise(function(resolve) {
+      (function check() {
+        if (pending) return resolve();
+        setTimeout(check, 5);
+      })();
+    });
+  }
+});
@@ -0,0 +1,248 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const express = require('express');
+const RemoteObjects = require('../');
+const SharedClass = RemoteObjects.SharedClass;
+const supertest = require('supertest');
+
+const JSON_API = 'application/vnd.api+json';
+
+describe('JSON:API', function() {
+  let app, remotes, received;
+
+  beforeEach(function() {
+    remotes = RemoteObjects.create({errorHandler: {log: false}});
+    received = undefined;
+
+    function Product() {}
+    Product.relations = {
+      category: {name: 'category', modelTo: {modelName: 'categories'}},
+    };
+
+    const sharedClass = new SharedClass('products', Product);
+    sharedClass.defineMethod('find', {
+      isStatic: true,
+      returns: {arg: 'data', type: 'array', root: true},
+      http: {verb: 'get', path: '/'},
+    }, function(cb) {
+      cb(null, [
+        {id: 1, name: 'pen', category: {id: 7, name: 'office'}},
+        {id: 2, name: 'ink', category: {id: 7, name: 'office'}},
+      ]);
+    });
+    sharedClass.defineMethod('findById', {
+      isStatic: true,
+      accepts: {arg: 'id', type: 'number', http: {source: 'path'}},
+      returns: {arg: 'data', type: 'object', root: true},
+      http: {verb: 'get', path: '/:id'},
+    }, function(id, cb) {
+      cb(null, {id: id, name: 'pen', toJSON: function() {
+        return {id: this.id, name: this.name};
+      }});
+    });
+    sharedClass.defineMethod('count', {
+      isStatic: true,
+      returns: {arg: 'count', type: 'number'},
+      http: {verb: 'get'},
+    }, function(cb) { cb(null, 2); });
+    sharedClass.defineMethod('total', {
+      isStatic: true,
+      returns: {arg: 'total', type: 'number', root: true},
+      http: {verb: 'get'},
+    }, function(cb) { cb(null, 2); });
+    sharedClass.defineMethod('rate', {
+      isStatic: true,
+      accepts: {arg: 'stars', type: 'number', http: {source: 'form'}},
+      returns: {arg: 'stars', type: 'number'},
+      http: {verb: 'post'},
+    }, function(stars, cb) { cb(null, stars); });
+    sharedClass.defineMethod('create', {
+      isStatic: true,
+      accepts: [
+        {arg: 'data', type: 'object', http: {source: 'body'}},
+        {arg: 'name', type: 'string', required: true, http: {source: 'form'}},
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+      http: {verb: 'post', path: '/', status: 201},
+    }, function(data, name, cb) {
+      received = data;
+      cb(null, Object.assign({id: 3}, data));
+    });
+    remotes.addClass(sharedClass);
+
+    givenApp({jsonApi: true});
+  });
+
+  it('sends a single resource as primary data', function() {
+    return jsonApiRequest('get', '/products/1').expect(200)
+      .expect('Content-Type', JSON_API)
+      .then(function(res) {
+        expect(res.body).to.eql({
+          jsonapi: {version: '1.0'},
+          data: {type: 'products', id: '1', attributes: {name: 'pen'}},
+          links: {self: '/products/1'},
+        });
+      });
+  });
+
+  it('sends related models as relationships and included resources',
+    function() {
+      return jsonApiRequest('get', '/products').expect(200)
+        .then(function(res) {
+          expect(res.body.data).to.eql([
+            {
+              type: 'products',
+              id: '1',
+              attributes: {name: 'pen'},
+              relationships: {category: {data: {type: 'categories', id: '7'}}},
+            },
+            {
+              type: 'products',
+              id: '2',
+              attributes: {name: 'ink'},
+              relationships: {category: {data: {type: 'categories', id: '7'}}},
+            },
+          ]);
+          expect(res.body.included).to.eql([
+            {type: 'categories', id: '7', attributes: {name: 'office'}},
+          ]);
+        });
+    });
+
+  it('sends results not being resources as meta', function() {
+    return jsonApiRequest('get', '/products/count').expect(200)
+      .then(function(res) {
+        expect(res.body).to.eql({
+          jsonapi: {version: '1.0'},
+          meta: {count: 2},
+        });
+      });
+  });
+
+  it('wraps values other than objects in meta', function() {
+    return jsonApiRequest('get', '/products/total').expect(200)
+      .then(function(res) {
+        expect(res.body).to.eql({
+          jsonapi: {version: '1.0'},
+          meta: {value: 2},
+        });
+      });
+  });
+
+  it('keeps types of attributes of the request document', function() {
+    return jsonApiRequest('post', '/products/rate')
+      .send({data: {type: 'products', attributes: {stars: 5}}})
+      .expect(200)
+      .then(function(res) {
+        expect(res.body.meta).to.eql({stars: 5});
+        return jsonApiRequest('post', '/products/rate')
+          .send({data: {type: 'products', attributes: {stars: '5'}}})
+          .expect(400);
+      });
+  });
+
+  it('unwraps attributes of the request document', function() {
+    return jsonApiRequest('post', '/products')
+      .send({data: {
+        type: 'products',
+        attributes: {name: 'pen'},
+        relationships: {category: {data: {type: 'categories', id: '7'}}},
+      }})
+      .expect(201)
+      .then(function(res) {
+        expect(received).to.eql({name: 'pen', categoryId: '7'});
+        expect(res.body.data).to.eql({
+          type: 'products',
+          id: '3',
+          attributes: {name: 'pen', categoryId: '7'},
+        });
+      });
+  });
+
+  it('rejects request documents without data', function() {
+    return jsonApiRequest('post', '/products')
+      .send({name: 'pen'})
+      .expect(400)
+      .then(function(res) {
+        expect(res.body.errors).to.have.length(1);
+        expect(res.body.errors[0]).to.have.property('status', '400');
+      });
+  });
+
+  it('sends errors as JSON:API error objects', function() {
+    return jsonApiRequest('get', '/unknown').expect(404)
+      .expect('Content-Type', JSON_API)
+      .then(function(res) {
+        expect(res.body).to.have.property('errors').with.length(1);
+        expect(res.body.errors[0]).to.include({
+          status: '404',
+          title: 'Not Found',
+        });
+      });
+  });
+
+  it('points error objects to invalid attributes', function() {
+    givenApp({jsonApi: true, collectArgErrors: true});
+    return jsonApiRequest('post', '/products')
+      .send({data: {type: 'products', attributes: {}}})
+      .expect(400)
+      .then(function(res) {
+        expect(res.body.errors).to.have.length(1);
+        expect(res.body.errors[0]).to.include({
+          status: '400',
+          code: 'INVALID_ARGUMENTS',
+        });
+        expect(res.body.errors[0].source).to.eql({
+          pointer: '/data/attributes/name',
+        });
+      });
+  });
+
+  it('hides details of server errors', function() {
+    remotes.before('products.findById', function(ctx, next) {
+      next(new Error('database password is wrong'));
+    });
+
+    return jsonApiRequest('get', '/products/1').expect(500)
+      .then(function(res) {
+        expect(res.body.errors[0]).to.eql({
+          status: '500',
+          title: 'Internal Server Error',
+        });
+      });
+  });
+
+  it('sends plain JSON to clients not accepting JSON:API', function() {
+    return supertest(app).get('/products/1').expect(200)
+      .expect('Content-Type', /application\/json/)
+      .then(function(res) {
+        expect(res.body).to.eql({id: 1, name: 'pen'});
+      });
+  });
+
+  it('is disabled by default', function() {
+    givenApp({supportedTypes: [JSON_API]});
+    return jsonApiRequest('get', '/products/1').expect(200)
+      .expect('Content-Type', /application\/vnd\.api\+json/)
+      .then(function(res) {
+        expect(res.body).to.eql({id: 1, name: 'pen'});
+      });
+  });
+
+  function givenApp(options) {
+    app = express();
+    app.use(remotes.handler('rest', options));
+  }
+
+  function jsonApiRequest(verb, url) {
+    return supertest(app)[verb](url)
+      .set('Accept', JSON_API)
+      .type(JSON_API);
+  }
+});
@@ -0,0 +1,95 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const jsonSerializer = require('../lib/json-serializer');
+const SharedMethod = require('../lib/shared-method');
+
+describe('json-serializer', function() {
+  describe('compileType()', function() {
+    it('serializes values of primitive types like JSON.stringify', function() {
+      expectSameAsStringify('number', [0, -1.5, 1e21, NaN, Infinity]);
+      expectSameAsStringify('integer', [42]);
+      expectSameAsStringify('boolean', [true, false]);
+      expectSameAsStringify('string', ['a "quoted" \u2028 text']);
+    });
+
+    it('falls back to JSON.stringify for values of other types', function() {
+      expectSameAsStringify('number', ['1', null, {toJSON: () => 1}]);
+      expectSameAsStringify(['number'], [{length: 1}, 'text']);
+      expectSameAsStringify('any', [{a: [1, {b: undefined}]}]);
+      expectSameAsStringify({name: 'string'}, [null, 'text', [1]]);
+    });
+
+    it('serializes arrays', function() {
+      expectSameAsStringify(['number'], [[1, 2, NaN], []]);
+      expectSameAsStringify([{id: 'number'}], [[{id: 1}, null, undefined]]);
+    });
+
+    it('omits properties not declared by inline objects', function() {
+      const serialize = jsonSerializer.compileType({
+        id: 'number',
+        address: {type: {city: 'string'}, required: true},
+      });
+
+      const json = serialize({
+        id: 1,
+        secret: 'hidden',
+        address: {city: 'Prague', zip: '110 00'},
+      });
+      expect(JSON.parse(json)).to.eql({id: 1, address: {city: 'Prague'}});
+    });
+
+    it('omits undefined properties and honours toJSON()', function() {
+      const serialize = jsonSerializer.compileType({id: 'number', name: 'any'});
+      const model = {toJSON: () => ({id: 1, password: 'secret'})};
+
+      expect(serialize({id: undefined, name: 'a'})).to.equal('{"name":"a"}');
+      expect(serialize(model)).to.equal('{"id":1}');
+    });
+
+    function expectSameAsStringify(type, values) {
+      const serialize = jsonSerializer.compileType(type);
+      values.forEach(function(value) {
+        expect(serialize(value), JSON.stringify(value))
+          .to.equal(JSON.stringify(value));
+      });
+    }
+  });
+
+  describe('forMethod()', function() {
+    it('serializes named return args', function() {
+      const method = givenMethod([
+        {arg: 'count', type: 'number'},
+        {arg: 'total', type: 'number', http: {target: 'header'}},
+        {arg: 'items', type: [{id: 'number'}]},
+      ]);
+      const serialize = jsonSerializer.forMethod(method);
+
+      expect(serialize({count: 1, items: [{id: 1, extra: true}]}))
+        .to.equal('{"count":1,"items":[{"id":1}]}');
+    });
+
+    it('serializes the root return arg', function() {
+      const method = givenMethod({arg: 'data', type: ['number'], root: true});
+      expect(jsonSerializer.forMethod(method)([1, 2])).to.equal('[1,2]');
+    });
+
+    it('reuses the serializer for the same method', function() {
+      const method = givenMethod({arg: 'data', type: 'number', root: true});
+      const serialize = jsonSerializer.forMethod(method);
+      expect(jsonSerializer.forMethod(method)).to.equal(serialize);
+    });
+
+    function givenMethod(returns) {
+      return new SharedMethod(function() {}, 'find', {name: 'Product'}, {
+        isStatic: true,
+        returns: returns,
+      });
+    }
+  });
+});
@@ -77,8 +77,16 @@ describe('strong-remoting-jsonrpc', function() {
           });
         };
 
+        Product.getPrices = function(count, cb) {
+          cb(null, count);
+        };
+
         const productClass = new SharedClass('product', Product);
         productClass.defineMethod('getPrice', {isStatic: true});
+        productClass.defineMethod('getPrices', {
+          isStatic: true,
+          accepts: {arg: 'count', type: 'integer', default: '10'},
+        });
         objects.addClass(productClass);
       });
 
@@ -95,6 +103,11 @@ describe('strong-remoting-jsonrpc', function() {
           .expect({'jsonrpc': '2.0', 'id': 1, 'result': 100}, done);
       });
 
+      it('should apply default values of arguments', function(done) {
+        jsonrpc('/product/jsonrpc', 'getPrices', {})
+          .expect({'jsonrpc': '2.0', 'id': 1, 'result': 10}, done);
+      });
+
       it('should report error for non-existent methods', function(done) {
         jsonrpc('/user/jsonrpc', 'greet1', ['JS'])
           .expect({
@@ -0,0 +1,648 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const RemoteObjects = require('../');
+const express = require('express');
+const request = require('supertest');
+const RestAdapter = require('../lib/rest-adapter');
+const SharedClass = require('../lib/shared-class');
+const expect = require('chai').expect;
+const factory = require('./helpers/shared-objects-factory.js');
+const openapi = require('../lib/openapi');
+
+describe('OpenAPI spec generator', function() {
+  let remotes, sharedClass;
+
+  beforeEach(function() {
+    remotes = RemoteObjects.create();
+    sharedClass = new SharedClass('Product', function() {});
+    remotes.addClass(sharedClass);
+  });
+
+  it('describes the API', function() {
+    const spec = getSpec({
+      title: 'Products API',
+      version: '2.0.0',
+      basePath: '/api',
+    });
+
+    expect(spec).to.have.property('openapi', '3.0.0');
+    expect(spec.info).to.eql({title: 'Products API', version: '2.0.0'});
+    expect(spec.servers).to.eql([{url: '/api'}]);
+    expect(spec.tags).to.eql([{name: 'Product'}]);
+  });
+
+  it('describes operations', function() {
+    givenStaticMethod('find', {
+      description: 'Find products',
+      notes: ['Returns all products', 'matching the filter'],
+      http: {verb: 'get', path: '/'},
+    });
+
+    const operation = getSpec().paths['/Product'].get;
+
+    expect(operation).to.have.property('operationId', 'Product.find');
+    expect(operation.tags).to.eql(['Product']);
+    expect(operation).to.have.property('summary', 'Find products');
+    expect(operation).to.have.property('description',
+      'Returns all products\nmatching the filter');
+  });
+
+  it('converts path parameters and verbs', function() {
+    givenStaticMethod('remove', {
+      accepts: {arg: 'id', type: 'number', required: true},
+      http: {verb: 'del', path: '/:id'},
+    });
+
+    const operation = getSpec().paths['/Product/{id}'].delete;
+
+    expect(operation.parameters).to.eql([
+      {name: 'id', in: 'path', schema: {type: 'number'}, required: true},
+    ]);
+  });
+
+  it('includes routes of prototype methods', function() {
+    const remotes = RemoteObjects.create();
+    remotes.exports.Product = factory.createSharedClass();
+    remotes.exports.Product.prototype.rename = function(name, cb) { cb(); };
+    remotes.exports.Product.prototype.rename.shared = true;
+    remotes.exports.Product.prototype.rename.accepts = {arg: 'name'};
+
+    const spec = new RestAdapter(remotes).getOpenApiSpec();
+    const operation = spec.paths['/Product/{id}/rename'].post;
+
+    expect(operation).to.have.property('operationId',
+      'Product.prototype.rename');
+    expect(operation.parameters).to.eql([
+      {name: 'id', in: 'path', schema: {}, required: true},
+    ]);
+  });
+
+  it('maps query, header and form arguments', function() {
+    givenStaticMethod('search', {
+      accepts: [
+        {arg: 'q', type: 'string', http: {source: 'query'},
+          description: 'Search query'},
+        {arg: 'x-tenant', type: 'string', http: {source: 'header'}},
+        {arg: 'limit', type: 'number', required: true},
+        {arg: 'tags', type: ['string'], http: {source: 'form'}},
+      ],
+      http: {verb: 'post', path: '/search'},
+    });
+
+    const operation = getSpec().paths['/Product/search'].post;
+
+    expect(operation.parameters).to.eql([
+      {
+        name: 'q',
+        in: 'query',
+        schema: {type: 'string', description: 'Search query'},
+        description: 'Search query',
+      },
+      {name: 'x-tenant', in: 'header', schema: {type: 'string'}},
+    ]);
+
+    const schema = {
+      type: 'object',
+      properties: {
+        limit: {type: 'number'},
+        tags: {type: 'array', items: {type: 'string'}},
+      },
+      required: ['limit'],
+    };
+    expect(operation.requestBody).to.eql({
+      content: {
+        'application/json': {schema: schema},
+        'application/x-www-form-urlencoded': {schema: schema},
+      },
+      required: true,
+    });
+  });
+
+  it('describes file arguments as multipart request bodies', function() {
+    givenStaticMethod('upload', {
+      accepts: [
+        {arg: 'avatar', type: 'file', http: {source: 'form'}},
+        {arg: 'title', type: 'string', http: {source: 'form'}},
+      ],
+      http: {verb: 'post', path: '/upload'},
+    });
+
+    const operation = getSpec().paths['/Product/upload'].post;
+
+    expect(operation.requestBody).to.eql({
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              avatar: {type: 'string', format: 'binary'},
+              title: {type: 'string'},
+            },
+          },
+        },
+      },
+    });
+  });
+
+  it('describes If-Match preconditions', function() {
+    givenStaticMethod('update', {
+      accepts: {arg: 'version', type: 'number', http: {source: 'ifMatch'}},
+      http: {verb: 'put', path: '/', requireIfMatch: true},
+    });
+
+    const operation = getSpec().paths['/Product'].put;
+
+    expect(operation.parameters).to.eql([
+      {name: 'If-Match', in: 'header', schema: {type: 'number'}, required: true},
+    ]);
+    expect(operation.responses).to.have.property('412');
+    expect(operation.responses).to.have.property('428');
+  });
+
+  it('uses query parameters for GET arguments without http source', function() {
+    givenStaticMethod('count', {
+      accepts: {arg: 'where', type: 'object'},
+      http: {verb: 'get', path: '/count'},
+    });
+
+    const operation = getSpec().paths['/Product/count'].get;
+
+    expect(operation.parameters).to.eql([
+      {name: 'where', in: 'query', schema: {type: 'object'}},
+    ]);
+    expect(operation).to.not.have.property('requestBody');
+  });
+
+  it('maps body argument to the request body', function() {
+    givenStaticMethod('create', {
+      accepts: {arg: 'data', type: 'Product', required: true,
+        http: {source: 'body'}},
+      http: {verb: 'post', path: '/'},
+    });
+
+    const spec = getSpec({
+      schemas: {Product: {type: 'object', properties: {name: {type: 'string'}}}},
+    });
+    const operation = spec.paths['/Product'].post;
+
+    expect(operation.requestBody).to.eql({
+      content: {
+        'application/json': {
+          schema: {$ref: '#/components/schemas/Product'},
+        },
+      },
+      required: true,
+    });
+    expect(spec.components.schemas.Product).to.eql({
+      type: 'object',
+      properties: {name: {type: 'string'}},
+    });
+  });
+
+  it('merges body and form arguments describing the same body', function() {
+    givenStaticMethod('create', {
+      accepts: [
+        {arg: 'data', type: 'object', http: {source: 'body'}},
+        {arg: 'options', type: 'object', http: {source: 'body'}},
+        {arg: 'name', type: 'string', required: true, http: {source: 'form'}},
+      ],
+      http: {verb: 'post', path: '/'},
+    });
+
+    const operation = getSpec().paths['/Product'].post;
+
+    expect(operation.requestBody).to.eql({
+      content: {
+        'application/json': {
+          schema: {allOf: [
+            {type: 'object'},
+            {type: 'object'},
+            {
+              type: 'object',
+              properties: {name: {type: 'string'}},
+              required: ['name'],
+            },
+          ]},
+        },
+      },
+      required: true,
+    });
+  });
+
+  it('skips arguments computed from the request', function() {
+    givenStaticMethod('whoami', {
+      accepts: [
+        {arg: 'req', type: 'object', http: {source: 'req'}},
+        {arg: 'ip', type: 'string', http: function(ctx) { return ctx.req.ip; }},
+      ],
+      http: {verb: 'get', path: '/whoami'},
+    });
+
+    const operation = getSpec().paths['/Product/whoami'].get;
+
+    expect(operation).to.not.have.property('parameters');
+  });
+
+  it('converts built-in and inline object types', function() {
+    givenStaticMethod('echo', {
+      accepts: {
+        arg: 'data',
+        type: {
+          createdAt: 'date',
+          image: {type: 'buffer', required: true},
+          counts: ['integer'],
+        },
+        http: {source: 'body'},
+      },
+      http: {verb: 'post', path: '/echo'},
+    });
+
+    const operation = getSpec().paths['/Product/echo'].post;
+
+    expect(operation.requestBody.content['application/json'].schema).to.eql({
+      type: 'object',
+      properties: {
+        createdAt: {type: 'string', format: 'date-time'},
+        image: {type: 'string', format: 'byte'},
+        counts: {type: 'array', items: {type: 'integer'}},
+      },
+      required: ['image'],
+    });
+  });
+
+  it('includes argument constraints', function() {
+    givenStaticMethod('find', {
+      accepts: [
+        {arg: 'order', type: 'string', enum: ['asc', 'desc']},
+        {arg: 'limit', type: 'number', min: 1, max: 100},
+        {arg: 'ids', type: ['string'], format: 'uuid'},
+        {arg: 'q', type: 'string', minLength: 3, pattern: /^\w+$/},
+      ],
+      http: {verb: 'get', path: '/'},
+    });
+
+    const operation = getSpec().paths['/Product'].get;
+
+    expect(operation.parameters.map(p => p.schema)).to.eql([
+      {type: 'string', enum: ['asc', 'desc']},
+      {type: 'number', minimum: 1, maximum: 100},
+      {type: 'array', items: {type: 'string', format: 'uuid'}},
+      {type: 'string', minLength: 3, pattern: '^\\w+$'},
+    ]);
+  });
+
+  it('includes default values of arguments', function() {
+    givenStaticMethod('find', {
+      accepts: {arg: 'limit', type: 'integer', default: 10},
+      http: {verb: 'get', path: '/'},
+    });
+
+    const operation = getSpec().paths['/Product'].get;
+
+    expect(operation.parameters[0].schema).to.eql({
+      type: 'integer',
+      default: 10,
+    });
+  });
+
+  it('maps root return value to the response content', function() {
+    givenStaticMethod('find', {
+      returns: {arg: 'data', type: ['Product'], root: true},
+      http: {verb: 'get', path: '/'},
+    });
+
+    const spec = getSpec();
+    const responses = spec.paths['/Product'].get.responses;
+
+    expect(responses).to.eql({
+      200: {
+        description: 'Request was successful',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'array',
+              items: {$ref: '#/components/schemas/Product'},
+            },
+          },
+        },
+      },
+    });
+    expect(spec.components.schemas).to.have.property('Product');
+  });
+
+  it('maps named return values and headers', function() {
+    givenStaticMethod('create', {
+      returns: [
+        {arg: 'id', type: 'number'},
+        {arg: 'location', type: 'string',
+          http: {target: 'header', header: 'Location'}},
+        {arg: 'status', type: 'number', http: {target: 'status'}},
+      ],
+      http: {verb: 'post', path: '/', status: 201},
+    });
+
+    const responses = getSpec().paths['/Product'].post.responses;
+
+    expect(responses).to.eql({
+      201: {
+        description: 'Request was successful',
+        content: {
+          'application/json': {
+            schema: {type: 'object', properties: {id: {type: 'number'}}},
+          },
+        },
+        headers: {Location: {schema: {type: 'string'}}},
+      },
+    });
+  });
+
+  it('uses 204 for methods without return values', function() {
+    givenStaticMethod('reset', {http: {verb: 'post', path: '/reset'}});
+
+    const responses = getSpec().paths['/Product/reset'].post.responses;
+
+    expect(responses).to.eql({204: {description: 'No Content'}});
+  });
+
+  it('maps errors to responses', function() {
+    givenStaticMethod('findById', {
+      accepts: {arg: 'id', type: 'number', http: {source: 'path'}},
+      returns: {arg: 'data', type: 'object', root: true},
+      errors: [
+        {code: 404, message: 'Product not found'},
+        {code: 422, message: 'Invalid id', responseModel: 'ValidationError'},
+      ],
+      http: {verb: 'get', path: '/:id'},
+    });
+
+    const spec = getSpec();
+    const responses = spec.paths['/Product/{id}'].get.responses;
+
+    expect(Object.keys(responses)).to.eql(['200', '404', '422']);
+    expect(responses[404]).to.eql({description: 'Product not found'});
+    expect(responses[422]).to.eql({
+      description: 'Invalid id',
+      content: {
+        'application/json': {
+          schema: {$ref: '#/components/schemas/ValidationError'},
+        },
+      },
+    });
+    expect(spec.components.schemas).to.have.property('ValidationError');
+  });
+
+  it('excludes undocumented methods', function() {
+    givenStaticMethod('internal', {
+      documented: false,
+      http: {verb: 'get', path: '/internal'},
+    });
+
+    const spec = getSpec();
+
+    expect(spec.paths).to.eql({});
+  });
+
+  it('generates unique operationIds for methods with multiple routes',
+    function() {
+      givenStaticMethod('upsert', {
+        http: [
+          {verb: 'put', path: '/'},
+          {verb: 'patch', path: '/'},
+        ],
+      });
+
+      const pathItem = getSpec().paths['/Product'];
+
+      expect(pathItem.put).to.have.property('operationId', 'Product.upsert');
+      expect(pathItem.patch).to.have.property('operationId',
+        'Product.upsert__1');
+    });
+
+  function givenStaticMethod(name, config) {
+    config = Object.assign({isStatic: true}, config);
+    sharedClass.defineMethod(name, config, function() {});
+  }
+
+  function getSpec(options) {
+    return new RestAdapter(remotes).getOpenApiSpec(options);
+  }
+});
+
+describe('OpenAPI spec importer', function() {
+  let remotes;
+
+  beforeEach(function() {
+    remotes = RemoteObjects.create({errorHandler: {debug: true, log: false}});
+  });
+
+  it('groups operations into classes by the first path segment', function() {
+    const classes = openapi.createSharedClasses({
+      paths: {
+        '/products': {get: {operationId: 'findProducts'}},
+        '/products/{id}': {get: {operationId: 'Product.findById'}},
+        '/orders': {post: {operationId: 'createOrder'}},
+      },
+    }, {
+      findProducts: noop,
+      'Product.findById': noop,
+      createOrder: noop,
+    });
+
+    expect(classes.map(c => c.name)).to.eql(['products', 'orders']);
+    expect(classes[0].http).to.eql({path: '/products'});
+
+    const methods = classes[0].methods();
+    expect(methods.map(m => m.name)).to.eql(['findProducts', 'findById']);
+    expect(methods[1].isStatic).to.equal(true);
+    expect(methods[1].http).to.eql({verb: 'get', path: '/:id'});
+  });
+
+  it('maps parameters and request body to accepts', function() {
+    const method = givenImportedMethod({
+      parameters: [
+        {name: 'id', in: 'path', required: true, schema: {type: 'integer'}},
+        {name: 'tags', in: 'query', description: 'Filter by tags',
+          schema: {type: 'array', items: {type: 'string'}}},
+        {name: 'X-Since', in: 'header',
+          schema: {type: 'string', format: 'date-time'}},
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {schema: {$ref: '#/components/schemas/Item'}},
+        },
+      },
+    }, {
+      components: {schemas: {Item: {type: 'object'}}},
+    });
+
+    expect(method.accepts).to.eql([
+      {arg: 'id', type: 'integer', http: {source: 'path'}, required: true},
+      {arg: 'tags', type: ['string'], http: {source: 'query'},
+        description: 'Filter by tags'},
+      {arg: 'X-Since', type: 'date', http: {source: 'header'}},
+      {arg: 'data', type: 'object', http: {source: 'body'}, required: true},
+    ]);
+  });
+
+  it('maps schema constraints to argument constraints', function() {
+    const method = givenImportedMethod({
+      parameters: [
+        {name: 'order', in: 'query',
+          schema: {type: 'string', enum: ['asc', 'desc']}},
+        {name: 'limit', in: 'query',
+          schema: {type: 'integer', minimum: 1, maximum: 100}},
+        {name: 'email', in: 'query',
+          schema: {type: 'string', format: 'email', maxLength: 64}},
+        {name: 'skip', in: 'query', schema: {type: 'integer', default: 0}},
+      ],
+    });
+
+    expect(method.accepts).to.eql([
+      {arg: 'order', type: 'string', http: {source: 'query'},
+        enum: ['asc', 'desc']},
+      {arg: 'limit', type: 'integer', http: {source: 'query'},
+        min: 1, max: 100},
+      {arg: 'email', type: 'string', http: {source: 'query'},
+        maxLength: 64, format: 'email'},
+      {arg: 'skip', type: 'integer', http: {source: 'query'}, default: 0},
+    ]);
+  });
+
+  it('maps form request bodies to form arguments', function() {
+    const method = givenImportedMethod({
+      requestBody: {
+        content: {
+          'application/x-www-form-urlencoded': {
+            schema: {
+              type: 'object',
+              properties: {
+                name: {type: 'string'},
+                age: {type: 'number'},
+              },
+              required: ['name'],
+            },
+          },
+        },
+      },
+    });
+
+    expect(method.accepts).to.eql([
+      {arg: 'name', type: 'string', http: {source: 'form'}, required: true},
+      {arg: 'age', type: 'number', http: {source: 'form'}},
+    ]);
+  });
+
+  it('maps responses to returns and errors', function() {
+    const method = givenImportedMethod({
+      responses: {
+        201: {
+          description: 'Created',
+          content: {
+            'application/json': {
+              schema: {type: 'array', items: {type: 'number'}},
+            },
+          },
+          headers: {Location: {schema: {type: 'string'}}},
+        },
+        404: {description: 'Not found'},
+        default: {description: 'Unexpected error'},
+      },
+    });
+
+    expect(method.returns).to.eql([
+      {arg: 'data', type: ['number'], root: true},
+      {arg: 'Location', type: 'string',
+        http: {target: 'header', header: 'Location'}},
+    ]);
+    expect(method.errors).to.eql([{code: 404, message: 'Not found'}]);
+    expect(method.http).to.have.property('status', 201);
+  });
+
+  it('rejects operations without handlers', function() {
+    expect(function() {
+      openapi.createSharedClasses({
+        paths: {'/products': {get: {operationId: 'findProducts'}}},
+      }, {});
+    }).to.throw(/findProducts/);
+  });
+
+  it('rejects operations without operationId', function() {
+    expect(function() {
+      openapi.createSharedClasses({
+        paths: {'/products': {get: {}}},
+      }, {});
+    }).to.throw(/GET \/products/);
+  });
+
+  it('creates REST endpoints with coerced arguments', function() {
+    remotes.addClassesFromOpenApi({
+      paths: {
+        '/calc/{a}/add': {
+          get: {
+            operationId: 'add',
+            parameters: [
+              {name: 'a', in: 'path', required: true, schema: {type: 'number'}},
+              {name: 'b', in: 'query', required: true, schema: {type: 'number'}},
+            ],
+            responses: {
+              200: {
+                description: 'The sum',
+                content: {'application/json': {schema: {type: 'number'}}},
+              },
+            },
+          },
+        },
+      },
+    }, {
+      add: function(a, b, cb) {
+        cb(null, a + b);
+      },
+    });
+
+    const app = express();
+    app.use(remotes.handler('rest'));
+
+    return request(app).get('/calc/1/add?b=2')
+      .expect(200)
+      .then(function(res) {
+        expect(res.body).to.equal(3);
+      });
+  });
+
+  it('round-trips the generated spec', function() {
+    const sharedClass = new SharedClass('Product', function() {});
+    sharedClass.defineMethod('findById', {
+      isStatic: true,
+      accepts: {arg: 'id', type: 'number', http: {source: 'path'}},
+      returns: {arg: 'data', type: 'object', root: true},
+      http: {verb: 'get', path: '/:id'},
+    }, noop);
+    remotes.addClass(sharedClass);
+
+    const spec = new RestAdapter(remotes).getOpenApiSpec();
+    const classes = openapi.createSharedClasses(spec, {
+      'Product.findById': noop,
+    });
+
+    const imported = RemoteObjects.create();
+    classes.forEach(c => imported.addClass(c));
+
+    expect(new RestAdapter(imported).getOpenApiSpec().paths)
+      .to.eql(spec.paths);
+  });
+
+  function givenImportedMethod(operation, spec) {
+    operation = Object.assign({operationId: 'test'}, operation);
+    spec = Object.assign({paths: {'/test': {post: operation}}}, spec);
+    const classes = openapi.createSharedClasses(spec, {test: noop});
+    return classes[0].methods()[0];
+  }
+
+  function noop() {}
+});
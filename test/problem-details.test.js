@@ -0,0 +1,146 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const express = require('express');
+const RemoteObjects = require('../');
+const SharedClass = RemoteObjects.SharedClass;
+const supertest = require('supertest');
+
+describe('problem details', function() {
+  let app, remotes, server;
+
+  beforeEach(function() {
+    givenRemotes({});
+  });
+
+  afterEach(function(done) {
+    if (!server) return done();
+    server.close(done);
+    server = undefined;
+  });
+
+  it('sends application/problem+json errors', function() {
+    return supertest(app).get('/products/0').expect(404)
+      .expect('Content-Type', 'application/problem+json')
+      .then(function(res) {
+        expect(res.body).to.eql({
+          type: 'product-not-found',
+          title: 'Product not found',
+          status: 404,
+          detail: 'No product with id 0.',
+          instance: '/products/0',
+          name: 'Error',
+          code: 'PRODUCT_NOT_FOUND',
+        });
+      });
+  });
+
+  it('builds type URIs from typeBaseUrl', function() {
+    givenRemotes({typeBaseUrl: 'https://example.com/problems/'});
+    return supertest(app).get('/products/0').expect(404)
+      .then(function(res) {
+        expect(res.body).to.have.property('type',
+          'https://example.com/problems/product-not-found');
+      });
+  });
+
+  it('uses the type declared by the errors entry', function() {
+    return supertest(app).get('/products/-1').expect(400)
+      .then(function(res) {
+        expect(res.body).to.have.property('type',
+          'https://example.com/problems/invalid-id');
+        expect(res.body).to.have.property('title', 'Invalid id');
+      });
+  });
+
+  it('sends about:blank type for undeclared errors', function() {
+    return supertest(app).get('/unknown').expect(404)
+      .then(function(res) {
+        expect(res.body).to.have.property('type', 'about:blank');
+        expect(res.body).to.have.property('title', 'Not Found');
+        expect(res.body).to.have.property('status', 404);
+      });
+  });
+
+  it('hides details of server errors', function() {
+    return supertest(app).get('/products/500').expect(500)
+      .then(function(res) {
+        expect(res.body).to.eql({
+          type: 'about:blank',
+          title: 'Internal Server Error',
+          status: 500,
+          instance: '/products/500',
+        });
+      });
+  });
+
+  it('sends all error properties in debug mode', function() {
+    givenRemotes({debug: true});
+    return supertest(app).get('/products/500').expect(500)
+      .then(function(res) {
+        expect(res.body).to.have.property('detail', 'database is down');
+        expect(res.body).to.have.property('stack').match(/database is down/);
+      });
+  });
+
+  it('rebuilds errors on the client', function(done) {
+    server = app.listen(0, '127.0.0.1', function() {
+      const client = RemoteObjects.create();
+      client.addClass(remotes.classes()[0]);
+      client.connect('http://127.0.0.1:' + server.address().port, 'rest');
+      client.invoke('products.findById', [0], function(err) {
+        expect(err).to.be.instanceOf(Error);
+        expect(err).to.have.property('message', 'No product with id 0.');
+        expect(err).to.have.property('statusCode', 404);
+        expect(err).to.have.property('code', 'PRODUCT_NOT_FOUND');
+        expect(err).to.have.property('type', 'product-not-found');
+        done();
+      });
+    });
+  });
+
+  function givenRemotes(errorHandlerOptions) {
+    remotes = RemoteObjects.create({
+      errorHandler: Object.assign({format: 'problem', log: false},
+        errorHandlerOptions),
+    });
+
+    const sharedClass = new SharedClass('products', function() {});
+    sharedClass.defineMethod('findById', {
+      isStatic: true,
+      accepts: {arg: 'id', type: 'number', http: {source: 'path'}},
+      returns: {arg: 'data', type: 'object', root: true},
+      errors: [
+        {code: 404, message: 'Product not found'},
+        {
+          code: 400,
+          message: 'Invalid id',
+          type: 'https://example.com/problems/invalid-id',
+        },
+      ],
+      http: {verb: 'get', path: '/:id'},
+    }, function(id, cb) {
+      let err;
+      if (id === 500) {
+        err = new Error('database is down');
+      } else if (id < 0) {
+        err = new Error('The id must not be negative.');
+        err.statusCode = 400;
+      } else {
+        err = new Error('No product with id ' + id + '.');
+        err.statusCode = 404;
+        err.code = 'PRODUCT_NOT_FOUND';
+      }
+      cb(err);
+    });
+    remotes.addClass(sharedClass);
+
+    app = express();
+    app.use(remotes.handler('rest'));
+  }
+});
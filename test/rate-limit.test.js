@@ -0,0 +1,146 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const expect = require('chai').expect;
+const express = require('express');
+const RemoteObjects = require('../');
+const SharedClass = RemoteObjects.SharedClass;
+const supertest = require('supertest');
+
+describe('rate limiting', function() {
+  let app, remotes, invoked;
+
+  beforeEach(function() {
+    remotes = RemoteObjects.create({errorHandler: {debug: true, log: false}});
+    invoked = 0;
+
+    const sharedClass = new SharedClass('products', function() {});
+    ['find', 'count'].forEach(function(name) {
+      sharedClass.defineMethod(name, {
+        isStatic: true,
+        http: {verb: 'get'},
+      }, function(cb) { invoked++; cb(); });
+    });
+    remotes.addClass(sharedClass);
+
+    app = express();
+    app.use(function(req, res, next) {
+      if (req.get('X-Token')) req.accessToken = {id: req.get('X-Token')};
+      next();
+    });
+    app.use(remotes.handler('rest'));
+  });
+
+  it('rejects requests over the limit with 429', function() {
+    remotes.rateLimit('products.find', {max: 2});
+
+    return get('/products/find')
+      .expect('RateLimit-Limit', '2')
+      .expect('RateLimit-Remaining', '1')
+      .expect('RateLimit-Reset', /^\d+$/)
+      .expect(204)
+      .then(() => get('/products/find').expect('RateLimit-Remaining', '0'))
+      .then(() => get('/products/find')
+        .expect('Retry-After', /^\d+$/)
+        .expect(429))
+      .then(function(res) {
+        expect(res.body.error).to.have.property('code', 'RATE_LIMIT_EXCEEDED');
+        expect(invoked).to.equal(2);
+      });
+  });
+
+  it('does not limit methods not matching the wildcard', function() {
+    remotes.rateLimit('products.find', {max: 0});
+    return get('/products/count')
+      .expect(204)
+      .then(function(res) {
+        expect(res.headers).to.not.have.property('ratelimit-limit');
+      });
+  });
+
+  it('limits methods matching the wildcard separately', function() {
+    remotes.rateLimit('products.*', {max: 1});
+    return get('/products/find').expect(204)
+      .then(() => get('/products/count').expect(204))
+      .then(() => get('/products/find').expect(429))
+      .then(() => get('/products/count').expect(429));
+  });
+
+  it('shares the limit by methods when perMethod is false', function() {
+    remotes.rateLimit('products.*', {max: 1, perMethod: false});
+    return get('/products/find').expect(204)
+      .then(() => get('/products/count').expect(429));
+  });
+
+  it('limits clients by access token', function() {
+    remotes.rateLimit('**', {max: 1, key: 'accessToken'});
+    return get('/products/find').set('X-Token', 'a').expect(204)
+      .then(() => get('/products/find').set('X-Token', 'b').expect(204))
+      .then(() => get('/products/find').set('X-Token', 'a').expect(429));
+  });
+
+  it('limits clients by a custom key', function() {
+    remotes.rateLimit('**', {
+      max: 1,
+      key: ctx => ctx.req.get('X-Api-Key'),
+    });
+    return get('/products/find').set('X-Api-Key', 'k1').expect(204)
+      .then(() => get('/products/find').set('X-Api-Key', 'k1').expect(429))
+      // requests without a key are not limited
+      .then(() => get('/products/find').expect(204))
+      .then(() => get('/products/find').expect(204));
+  });
+
+  it('runs before the authorization hook', function() {
+    let authorized = 0;
+    remotes.authorization = function(ctx, next) { authorized++; next(); };
+    remotes.rateLimit('**', {max: 0});
+
+    return get('/products/find').expect(429)
+      .then(() => expect(authorized).to.equal(0));
+  });
+
+  it('uses the provided store', function() {
+    const calls = [];
+    const store = {
+      increment: function(key, windowMs, cb) {
+        calls.push([key, windowMs]);
+        cb(null, {count: 1, resetTime: Date.now() + windowMs});
+      },
+    };
+    remotes.rateLimit('**', {max: 1, windowMs: 5000, store: store});
+
+    return get('/products/find').expect(204)
+      .then(function() {
+        expect(calls).to.have.length(1);
+        expect(calls[0][0]).to.match(/^products\.find:.*127\.0\.0\.1$/);
+        expect(calls[0][1]).to.equal(5000);
+      });
+  });
+
+  describe('MemoryStore', function() {
+    it('starts a new window when the previous one expired', function(done) {
+      const store = new RemoteObjects.RateLimitMemoryStore();
+      store.increment('key', 10, function(err, first) {
+        if (err) return done(err);
+        expect(first.count).to.equal(1);
+        setTimeout(function() {
+          store.increment('key', 10, function(err, second) {
+            if (err) return done(err);
+            expect(second.count).to.equal(1);
+            expect(second.resetTime).to.be.above(first.resetTime);
+            done();
+          });
+        }, 20);
+      });
+    });
+  });
+
+  function get(url) {
+    return supertest(app).get(url);
+  }
+});
@@ -58,6 +58,144 @@ describe('RemoteObjects', function() {
     });
   });
 
+  describe('class change events', () => {
+    let sharedClass;
+    beforeEach(() => {
+      sharedClass = new SharedClass('TempClass', function() {});
+    });
+
+    it('emits classAdded and increments the revision', () => {
+      const added = [];
+      remotes.on('classAdded', c => added.push(c));
+      const revision = remotes.getRevision();
+
+      remotes.addClass(sharedClass);
+
+      expect(added).to.eql([sharedClass]);
+      expect(remotes.getRevision()).to.be.above(revision);
+    });
+
+    it('emits classChanged when methods of the class change', () => {
+      remotes.addClass(sharedClass);
+      const changed = [];
+      remotes.on('classChanged', c => changed.push(c.name));
+      const revision = remotes.getRevision();
+
+      sharedClass.defineMethod('find', {isStatic: true});
+      sharedClass.disableMethodByName('find');
+
+      expect(changed).to.eql(['TempClass', 'TempClass']);
+      expect(remotes.getRevision()).to.equal(revision + 2);
+    });
+
+    it('emits classDeleted and stops watching the class', () => {
+      remotes.addClass(sharedClass);
+      const events = [];
+      remotes.on('classDeleted', name => events.push('deleted ' + name));
+      remotes.on('classChanged', c => events.push('changed ' + c.name));
+
+      remotes.deleteClassByName('TempClass');
+      sharedClass.defineMethod('find', {isStatic: true});
+
+      expect(events).to.eql(['deleted TempClass']);
+      expect(sharedClass.listenerCount('change')).to.equal(0);
+    });
+
+    it('stops watching the previous class of the same name', () => {
+      remotes.addClass(sharedClass);
+      remotes.addClass(new SharedClass('TempClass', function() {}));
+
+      expect(sharedClass.listenerCount('change')).to.equal(0);
+    });
+  });
+
+  describe('findMethod()', () => {
+    let sharedClass;
+    beforeEach(() => {
+      sharedClass = new SharedClass('TempClass', function() {});
+      remotes.addClass(sharedClass);
+    });
+
+    it('finds methods by string name and alias', () => {
+      const sm = sharedClass.defineMethod('find', {
+        isStatic: true,
+        aliases: ['all'],
+      });
+      const proto = sharedClass.defineMethod('save', {isStatic: false});
+
+      expect(remotes.findMethod('TempClass.find')).to.equal(sm);
+      expect(remotes.findMethod('TempClass.all')).to.equal(sm);
+      expect(remotes.findMethod('TempClass.prototype.save')).to.equal(proto);
+      expect(remotes.findMethod('TempClass.save')).to.equal(undefined);
+    });
+
+    it('does not rebuild the index on repeated lookups', () => {
+      let resolveCount = 0;
+      sharedClass.resolve(function(define) {
+        resolveCount++;
+        define('find', {isStatic: true}, function() {});
+      });
+
+      const sm = remotes.findMethod('TempClass.find');
+      expect(remotes.findMethod('TempClass.find')).to.equal(sm);
+      expect(resolveCount).to.equal(1);
+    });
+
+    it('does not find methods of deleted classes', () => {
+      sharedClass.defineMethod('find', {isStatic: true});
+      expect(remotes.findMethod('TempClass.find')).to.be.an('object');
+
+      remotes.deleteClassByName('TempClass');
+      expect(remotes.findMethod('TempClass.find')).to.equal(undefined);
+    });
+
+    it('does not find disabled methods', () => {
+      sharedClass.defineMethod('find', {isStatic: true});
+      expect(remotes.findMethod('TempClass.find')).to.be.an('object');
+
+      sharedClass.disableMethodByName('find');
+      expect(remotes.findMethod('TempClass.find')).to.equal(undefined);
+    });
+
+    it('finds methods of exported objects', () => {
+      const fn = function() {};
+      fn.shared = true;
+      remotes.exports.obj = {method: fn};
+      expect(remotes.findMethod('obj.method')).to.have.property('fn', fn);
+
+      delete remotes.exports.obj;
+      expect(remotes.findMethod('obj.method')).to.equal(undefined);
+    });
+
+    it('does not find functions un-shared after the previous lookup', () => {
+      const fn = sharedClass.ctor.find = function() {};
+      fn.shared = true;
+      expect(remotes.findMethod('TempClass.find')).to.be.an('object');
+
+      fn.shared = false;
+      expect(remotes.findMethod('TempClass.find')).to.equal(undefined);
+    });
+
+    it('does not find methods un-shared after the previous lookup', () => {
+      const sm = sharedClass.defineMethod('find', {isStatic: true});
+      expect(remotes.findMethod('TempClass.find')).to.equal(sm);
+
+      sm.shared = false;
+      expect(remotes.findMethod('TempClass.find')).to.equal(undefined);
+    });
+
+    it('finds functions replaced after the previous lookup', () => {
+      sharedClass.ctor.prototype.save = function() {};
+      sharedClass.ctor.prototype.save.shared = true;
+      remotes.findMethod('TempClass.prototype.save');
+
+      const fn = sharedClass.ctor.prototype.save = function() {};
+      fn.shared = true;
+      expect(remotes.findMethod('TempClass.prototype.save'))
+        .to.have.property('fn', fn);
+    });
+  });
+
   describe('deleteTypeByName()', () => {
     it('removes the type converter', () => {
       class MyType {}
@@ -13,7 +13,9 @@ const RemoteObjects = require('../');
 const RestAdapter = require('../lib/rest-adapter');
 const SharedClass = require('../lib/shared-class');
 const SharedMethod = require('../lib/shared-method');
+const supertest = require('supertest');
 const expect = require('chai').expect;
+const express = require('express');
 const factory = require('./helpers/shared-objects-factory.js');
 function NOOP() {}
 
@@ -106,6 +108,243 @@ describe('RestAdapter', function() {
     }
   });
 
+  describe('allRoutes()', function() {
+    it('includes argument constraints', function() {
+      const sharedClass = new SharedClass('testClass', function() {});
+      sharedClass.defineMethod('find', {
+        isStatic: true,
+        accepts: {arg: 'limit', type: 'number', min: 1, max: 100},
+      }, NOOP);
+      remotes.addClass(sharedClass);
+
+      const routes = new RestAdapter(remotes).allRoutes();
+
+      expect(routes[0].accepts).to.eql([
+        {arg: 'limit', type: 'number', min: 1, max: 100},
+      ]);
+    });
+  });
+
+  describe('analyzeRoutes()', function() {
+    let sharedClass;
+    beforeEach(function() {
+      sharedClass = new SharedClass('products', function() {});
+      remotes.addClass(sharedClass);
+    });
+
+    function givenMethod(name, http, accepts) {
+      sharedClass.defineMethod(name, {
+        isStatic: true,
+        accepts: accepts,
+        http: http,
+      }, NOOP);
+    }
+
+    function analyze(options) {
+      return new RestAdapter(remotes, options).analyzeRoutes();
+    }
+
+    function expectIssue(issue, expected) {
+      Object.keys(expected).forEach(function(key) {
+        expect(issue).to.have.deep.property(key, expected[key]);
+      });
+    }
+
+    it('reports no issues for distinct routes', function() {
+      givenMethod('find', {verb: 'get', path: '/'});
+      givenMethod('count', {verb: 'get', path: '/count'});
+      givenMethod('findById', {verb: 'get', path: '/:id'});
+
+      expect(analyze()).to.eql([]);
+    });
+
+    it('reports duplicate routes', function() {
+      givenMethod('findById', {verb: 'get', path: '/:id'});
+      givenMethod('findByPk', {verb: 'get', path: '/:pk'});
+
+      const issues = analyze();
+      expect(issues).to.have.length(1);
+      expectIssue(issues[0], {
+        type: 'duplicate',
+        verb: 'GET',
+        path: '/products/:pk',
+        methods: ['products.findById', 'products.findByPk'],
+      });
+    });
+
+    it('reports routes shadowed by routes registered earlier', function() {
+      givenMethod('findById', {verb: 'get', path: '/:id'});
+      givenMethod('count', {verb: 'all', path: '/count'});
+
+      const issues = analyze();
+      expect(issues).to.have.length(1);
+      expectIssue(issues[0], {
+        type: 'shadowed',
+        verb: 'GET',
+        path: '/products/count',
+        methods: ['products.findById', 'products.count'],
+      });
+      expect(issues[0].message).to.match(/shadowed/);
+    });
+
+    it('reports ambiguous routes', function() {
+      givenMethod('stats', {verb: 'get', path: '/:id/stats'});
+      givenMethod('latest', {verb: 'get', path: '/latest/:kind'});
+
+      const issues = analyze();
+      expect(issues).to.have.length(1);
+      expectIssue(issues[0], {
+        type: 'ambiguous',
+        verb: 'GET',
+        methods: ['products.latest', 'products.stats'],
+      });
+    });
+
+    it('ignores routes with different verbs', function() {
+      givenMethod('findById', {verb: 'get', path: '/:id'});
+      givenMethod('deleteById', {verb: 'del', path: '/:id'});
+
+      expect(analyze()).to.eql([]);
+    });
+
+    it('reports path arguments missing in the route path', function() {
+      givenMethod('findById', {verb: 'get', path: '/:id'}, [
+        {arg: 'id', type: 'number', http: {source: 'path'}},
+        {arg: 'kind', type: 'string', http: {source: 'path'}},
+      ]);
+
+      const issues = analyze();
+      expect(issues).to.have.length(1);
+      expectIssue(issues[0], {
+        type: 'missingPathParam',
+        verb: 'GET',
+        path: '/products/:id',
+        methods: ['products.findById'],
+      });
+      expect(issues[0].message).to.match(/"kind"/);
+    });
+
+    it('reports classes mounted at the same path', function() {
+      const other = new SharedClass('items', function() {});
+      other.http = {path: '/products'};
+      remotes.addClass(other);
+
+      const issues = analyze();
+      expect(issues).to.have.length(1);
+      expectIssue(issues[0], {
+        type: 'mountConflict',
+        path: '/products',
+      });
+    });
+
+    it('makes createHandler() throw in strict mode', function() {
+      givenMethod('findById', {verb: 'get', path: '/:id'});
+      givenMethod('findByPk', {verb: 'get', path: '/:pk'});
+
+      const adapter = new RestAdapter(remotes, {strictRoutes: true});
+      expect(function() { adapter.createHandler(); })
+        .to.throw(/Invalid REST routes:\n.*is handled by both/);
+    });
+
+    it('does not throw in strict mode when routes are valid', function() {
+      givenMethod('find', {verb: 'get', path: '/'});
+
+      const adapter = new RestAdapter(remotes, {strictRoutes: true});
+      expect(function() { adapter.createHandler(); }).to.not.throw();
+    });
+  });
+
+  describe('live route updates', function() {
+    let app;
+    beforeEach(function() {
+      app = express();
+      app.use(remotes.handler('rest'));
+    });
+
+    function givenClass(name) {
+      const sharedClass = new SharedClass(name, function() {});
+      sharedClass.defineMethod('greet', {
+        isStatic: true,
+        returns: {arg: 'msg', type: 'string'},
+        http: {verb: 'get'},
+      }, function(cb) { cb(null, 'hello from ' + name); });
+      remotes.addClass(sharedClass);
+      return sharedClass;
+    }
+
+    it('serves classes added after the handler was created', function() {
+      givenClass('products');
+      return supertest(app).get('/products/greet')
+        .expect(200, {msg: 'hello from products'});
+    });
+
+    it('stops serving deleted classes', function() {
+      givenClass('products');
+      return supertest(app).get('/products/greet').expect(200)
+        .then(function() {
+          remotes.deleteClassByName('products');
+          return supertest(app).get('/products/greet').expect(404);
+        });
+    });
+
+    it('stops serving disabled methods', function() {
+      const sharedClass = givenClass('products');
+      return supertest(app).get('/products/greet').expect(200)
+        .then(function() {
+          sharedClass.disableMethodByName('greet');
+          return supertest(app).get('/products/greet').expect(404);
+        });
+    });
+
+    it('keeps the previous routes when the new routes are invalid', function() {
+      app = express();
+      app.use(remotes.handler('rest', {strictRoutes: true}));
+      const sharedClass = givenClass('products');
+      return supertest(app).get('/products/greet').expect(200)
+        .then(function() {
+          sharedClass.defineMethod('hello', {
+            isStatic: true,
+            http: {verb: 'get', path: '/greet'},
+          }, NOOP);
+          return supertest(app).get('/products/greet')
+            .expect(200, {msg: 'hello from products'});
+        });
+    });
+
+    it('retries failed route updates and warns once', function() {
+      const adapter = new RestAdapter(remotes);
+      app = express();
+      app.use(adapter.createHandler());
+
+      let failures = 2;
+      const createRoutesRouter = adapter._createRoutesRouter;
+      adapter._createRoutesRouter = function() {
+        if (failures-- > 0) throw new Error('cannot build routes');
+        return createRoutesRouter.apply(this, arguments);
+      };
+
+      const warnings = [];
+      const consoleError = console.error;
+      console.error = function(msg) {
+        if (/REST routes/.test(msg)) warnings.push(msg);
+      };
+      function restore() { console.error = consoleError; }
+
+      givenClass('products');
+      return supertest(app).get('/products/greet').expect(404)
+        .then(() => supertest(app).get('/products/greet').expect(404))
+        .then(() => supertest(app).get('/products/greet').expect(200))
+        .then(restore, function(err) {
+          restore();
+          throw err;
+        })
+        .then(function() {
+          expect(warnings).to.have.length(1);
+          expect(warnings[0]).to.match(/cannot build routes/);
+        });
+    });
+  });
+
   describe('RestClass', function() {
     describe('getPath', function() {
       it('returns the path of the first route', function() {
@@ -0,0 +1,67 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const jsonBodyContext = require('./_jsonbody.context');
+
+module.exports = function(ctx) {
+  ctx = jsonBodyContext(ctx);
+  const ERROR_BAD_REQUEST = ctx.ERROR_BAD_REQUEST;
+  const verifyTestCases = ctx.verifyTestCases;
+
+  const PERSON = {
+    name: {type: 'string', required: true},
+    age: 'number',
+    tags: ['string'],
+    address: {
+      city: {type: 'string', required: true},
+    },
+  };
+
+  describe('json body - inline object - required', function() {
+    // See verifyTestCases' jsdoc for details about the format of test cases.
+    verifyTestCases({arg: 'anyname', type: PERSON, required: true}, [
+      // Valid values
+      [{name: 'Jon'}],
+      [{name: 'Jon', age: 42, tags: ['a', 'b']}],
+      [{name: 'Jon', address: {city: 'Prague'}}],
+
+      // Properties not described by the definition are preserved
+      [{name: 'Jon', extra: '1'}],
+
+      // Invalid values trigger ERROR_BAD_REQUEST
+      [null, ERROR_BAD_REQUEST],
+      [[], ERROR_BAD_REQUEST],
+
+      // Required properties must be set
+      [{}, ERROR_BAD_REQUEST],
+      [{name: ''}, ERROR_BAD_REQUEST],
+      [{name: 'Jon', address: {}}, ERROR_BAD_REQUEST],
+
+      // Property values are not coerced in JSON payloads
+      [{name: 'Jon', age: '42'}, ERROR_BAD_REQUEST],
+      [{name: 'Jon', tags: [1]}, ERROR_BAD_REQUEST],
+      [{name: 'Jon', address: 'Prague'}, ERROR_BAD_REQUEST],
+    ]);
+  });
+
+  describe('json body - inline object - optional', function() {
+    // See verifyTestCases' jsdoc for details about the format of test cases.
+    verifyTestCases({arg: 'anyname', type: {count: 'number'}}, [
+      // Empty values
+      [null, null],
+
+      // Valid values
+      [{}],
+      [{count: 1}],
+
+      // Invalid values trigger ERROR_BAD_REQUEST
+      [{count: null}, ERROR_BAD_REQUEST],
+      [{count: 'one'}, ERROR_BAD_REQUEST],
+      [{count: {}}, ERROR_BAD_REQUEST],
+    ]);
+  });
+};
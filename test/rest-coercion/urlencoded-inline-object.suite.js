@@ -0,0 +1,55 @@
+// Copyright IBM Corp. 2019. All Rights Reserved.
+// Node module: strong-remoting
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+const urlEncodedContext = require('./_urlencoded.context');
+
+module.exports = function(ctx) {
+  suite('query string', urlEncodedContext(ctx, 'qs'));
+  suite('form data', urlEncodedContext(ctx, 'form'));
+};
+
+function suite(prefix, ctx) {
+  const EMPTY_QUERY = ctx.EMPTY_QUERY;
+  const ERROR_BAD_REQUEST = ctx.ERROR_BAD_REQUEST;
+  const verifyTestCases = ctx.verifyTestCases;
+
+  const FILTER = {
+    limit: 'number',
+    active: 'boolean',
+    where: {
+      name: {type: 'string', required: true},
+    },
+  };
+
+  describe(prefix + ' - inline object - optional', function() {
+    // See verifyTestCases' jsdoc for details about the format of test cases.
+    verifyTestCases({arg: 'arg', type: FILTER}, [
+      // Empty values
+      [EMPTY_QUERY, undefined],
+      ['arg', undefined],
+      ['arg=', undefined],
+      ['arg=null', null],
+      ['arg={}', {}],
+
+      // Nested keys are coerced using the property types
+      ['arg[limit]=10', {limit: 10}],
+      ['arg[active]=true', {active: true}],
+      ['arg[where][name]=Jon', {where: {name: 'Jon'}}],
+      ['arg[other]=10', {other: '10'}],
+
+      // JSON-encoded values are not coerced
+      ['arg={"limit":10}', {limit: 10}],
+      ['arg={"limit":"10"}', ERROR_BAD_REQUEST],
+
+      // Invalid values trigger ERROR_BAD_REQUEST
+      ['arg[limit]=ten', ERROR_BAD_REQUEST],
+      ['arg[where][name]=', ERROR_BAD_REQUEST],
+      ['arg[where]=text', ERROR_BAD_REQUEST],
+      ['arg=[1,2]', ERROR_BAD_REQUEST],
+    ]);
+  });
+}
@@ -357,6 +357,29 @@ describe('strong-remoting-rest', function() {
         });
       });
 
+      it('handles anonymous object types in the arguments', (done) => {
+        const method = givenSharedStaticMethod(
+          function create(data, cb) {
+            cb(null, data);
+          },
+          {
+            accepts: {
+              arg: 'data',
+              type: {name: 'string', count: 'number'},
+              http: {source: 'body'},
+            },
+            returns: {arg: 'data', type: 'object', root: true},
+            http: {path: '/'},
+          },
+        );
+
+        objects.invoke(method.name, [{name: 'a', count: 1}], (err, result) => {
+          if (err) return done(err);
+          expect(result).to.eql({name: 'a', count: 1});
+          done();
+        });
+      });
+
       describe('uncaught errors', function() {
         beforeEach(function() {
           const optsErrorHandler = {errorHandler: {debug: true, log: false}};
@@ -7,6 +7,7 @@
 
 const assert = require('assert');
 const extend = require('util')._extend;
+const fs = require('fs');
 const inherits = require('util').inherits;
 const RemoteObjects = require('../');
 const SharedClass = RemoteObjects.SharedClass;
@@ -978,6 +979,287 @@ describe('strong-remoting-rest', function() {
       });
     });
 
+    describe('data type - inline object', function() {
+      let method;
+      beforeEach(function() {
+        method = givenSharedStaticMethod(
+          function(data, cb) {
+            cb(null, data);
+          },
+          {
+            accepts: {
+              arg: 'data',
+              type: {
+                name: {type: 'string', required: true},
+                address: {city: 'string', zip: 'number'},
+                contacts: [{email: {type: 'string', required: true}}],
+              },
+              http: {source: 'body'},
+            },
+            returns: {arg: 'data', type: 'object', root: true},
+            http: {verb: 'post', path: '/'},
+          },
+        );
+      });
+
+      it('accepts valid nested objects', function(done) {
+        const data = {
+          name: 'Jon',
+          address: {city: 'Prague', zip: 11000},
+          contacts: [{email: 'jon@example.com'}],
+        };
+
+        request(app).post(method.classUrl)
+          .send(data)
+          .expect(200, data)
+          .end(done);
+      });
+
+      it('reports the path of an invalid nested property', function(done) {
+        request(app).post(method.classUrl)
+          .send({name: 'Jon', address: {zip: 'unknown'}})
+          .expect(400)
+          .end(expectErrorResponseContaining({
+            statusCode: 400,
+            propertyPath: 'address.zip',
+            message: 'Invalid property "address.zip". Value is not a number.',
+          }, done));
+      });
+
+      it('reports the path of a missing required property', function(done) {
+        request(app).post(method.classUrl)
+          .send({name: 'Jon', contacts: [{email: 'a@b.c'}, {}]})
+          .expect(400)
+          .end(expectErrorResponseContaining({
+            propertyPath: 'contacts[1].email',
+            message: 'Invalid argument "data". ' +
+              'Invalid property "contacts[1].email". Value is required.',
+          }, done));
+      });
+    });
+
+    describe('validateReturns option', function() {
+      it('rejects return values not matching declared types', function(done) {
+        restHandlerOptions = {validateReturns: true};
+        const method = givenSharedStaticMethod(
+          function(cb) {
+            cb(null, 'ten', {not: 'a date'});
+          },
+          {
+            returns: [
+              {arg: 'count', type: 'number'},
+              {arg: 'since', type: 'date'},
+            ],
+          },
+        );
+
+        request(app).get(method.url)
+          .expect(500)
+          .end(expectErrorResponseContaining({
+            message: 'Invalid return value "count" of testClass.testMethod. ' +
+              'Value is not a number.',
+          }, done));
+      });
+
+      it('does not validate return values by default', function(done) {
+        const method = givenSharedStaticMethod(
+          function(cb) {
+            cb(null, 'ten');
+          },
+          {
+            returns: {arg: 'count', type: 'number'},
+          },
+        );
+
+        request(app).get(method.url)
+          .expect(200, {count: 'ten'}, done);
+      });
+    });
+
+    describe('argument defaults', function() {
+      it('converts the default value using the argument type', function(done) {
+        const method = givenSharedStaticMethod(
+          function(limit, cb) {
+            cb(null, limit);
+          },
+          {
+            accepts: {arg: 'limit', type: 'integer', default: '10'},
+            returns: {arg: 'limit', type: 'any', root: true},
+            http: {verb: 'get', path: '/'},
+          },
+        );
+
+        request(app).get(method.classUrl)
+          .expect(200, '10', done);
+      });
+
+      it('uses the provided value instead of the default', function(done) {
+        const method = givenSharedStaticMethod(
+          function(tags, cb) {
+            cb(null, tags);
+          },
+          {
+            accepts: {arg: 'tags', type: ['string'], default: ['new']},
+            returns: {arg: 'tags', type: ['string'], root: true},
+            http: {verb: 'get', path: '/'},
+          },
+        );
+
+        request(app).get(method.classUrl + '?tags=old')
+          .expect(200, ['old'], done);
+      });
+
+      it('satisfies the required check', function(done) {
+        const method = givenSharedStaticMethod(
+          function(order, cb) {
+            cb(null, order);
+          },
+          {
+            accepts: {arg: 'order', type: 'string', required: true,
+              default: 'asc'},
+            returns: {arg: 'order', type: 'string'},
+            http: {verb: 'get', path: '/'},
+          },
+        );
+
+        request(app).get(method.classUrl)
+          .expect(200, {order: 'asc'}, done);
+      });
+
+      it('reports invalid default values as server errors', function(done) {
+        const method = givenSharedStaticMethod(
+          function(limit, cb) {
+            cb(null, limit);
+          },
+          {
+            accepts: {arg: 'limit', type: 'number', default: 'ten'},
+            http: {verb: 'get', path: '/'},
+          },
+        );
+
+        request(app).get(method.classUrl)
+          .expect(500)
+          .end(expectErrorResponseContaining({
+            message: 'Invalid default value of argument "limit". ' +
+              'Value is not a number.',
+          }, done));
+      });
+    });
+
+    describe('argument constraints', function() {
+      it('rejects values violating constraints', function(done) {
+        const method = givenSharedStaticMethod(
+          function(order, cb) {
+            cb(null, order);
+          },
+          {
+            accepts: {arg: 'order', type: 'string', enum: ['asc', 'desc']},
+            returns: {arg: 'order', type: 'string', root: true},
+            http: {verb: 'get', path: '/'},
+          },
+        );
+
+        request(app).get(method.classUrl + '?order=up')
+          .expect(400)
+          .end(expectErrorResponseContaining({
+            message: 'Invalid argument "order". ' +
+              'Value must be one of "asc", "desc".',
+          }, done));
+      });
+
+      it('checks constraints after the value was coerced', function(done) {
+        const method = givenSharedStaticMethod(
+          function(limit, cb) {
+            cb(null, limit);
+          },
+          {
+            accepts: {arg: 'limit', type: 'number', min: 1, max: 100},
+            returns: {arg: 'limit', type: 'number', root: true},
+            http: {verb: 'get', path: '/'},
+          },
+        );
+
+        request(app).get(method.classUrl + '?limit=100')
+          .expect(200, '100', done);
+      });
+
+      it('checks constraints of inline object properties', function(done) {
+        const method = givenSharedStaticMethod(
+          function(data, cb) {
+            cb(null, data);
+          },
+          {
+            accepts: {
+              arg: 'data',
+              type: {email: {type: 'string', format: 'email'}},
+              http: {source: 'body'},
+            },
+            returns: {arg: 'data', type: 'object', root: true},
+            http: {verb: 'post', path: '/'},
+          },
+        );
+
+        request(app).post(method.classUrl)
+          .send({email: 'invalid'})
+          .expect(400)
+          .end(expectErrorResponseContaining({
+            propertyPath: 'email',
+          }, done));
+      });
+    });
+
+    describe('collectArgErrors option', function() {
+      let method;
+      beforeEach(function() {
+        restHandlerOptions = {collectArgErrors: true};
+        method = givenSharedStaticMethod(
+          function(id, limit, token, data, cb) {
+            cb(null, data);
+          },
+          {
+            accepts: [
+              {arg: 'id', type: 'number', http: {source: 'path'}},
+              {arg: 'limit', type: 'number'},
+              {arg: 'x-token', type: 'string', required: true,
+                http: {source: 'header'}},
+              {arg: 'data', type: {name: 'string'}, http: {source: 'body'}},
+            ],
+            returns: {arg: 'data', type: 'object', root: true},
+            http: {verb: 'post', path: '/:id'},
+          },
+        );
+      });
+
+      it('reports all invalid arguments in a single error', function(done) {
+        request(app).post(method.classUrl + '/abc?limit=ten')
+          .send({name: 1})
+          .expect(400)
+          .end(function(err, res) {
+            if (err) return done(err);
+            const error = res.body.error;
+            expect(error).to.have.property('code', 'INVALID_ARGUMENTS');
+            expect(error.details.map(d => [d.name, d.source])).to.eql([
+              ['id', 'path'],
+              ['limit', 'query'],
+              ['x-token', 'header'],
+              ['data', 'body'],
+            ]);
+            expect(error.details[0].message).to.contain('not a number');
+            expect(error.details[2].message).to.contain('required');
+            expect(error.details[3]).to.have.property('propertyPath', 'name');
+            done();
+          });
+      });
+
+      it('invokes the method when all arguments are valid', function(done) {
+        request(app).post(method.classUrl + '/1?limit=10')
+          .set('x-token', 'secret')
+          .send({name: 'Jon'})
+          .expect(200, {name: 'Jon'})
+          .end(done);
+      });
+    });
+
     it('should pass an array argument even when non-array passed', function(done) {
       remotes.foo = {
         bar: function(a, fn) {
@@ -1200,6 +1482,29 @@ describe('strong-remoting-rest', function() {
       }
     });
 
+    it('converts arguments using types registered later', function() {
+      const sharedClass = new SharedClass('products', function() {});
+      sharedClass.defineMethod('echo', {
+        isStatic: true,
+        accepts: {arg: 'value', type: 'upper', http: {source: 'query'}},
+        returns: {arg: 'value', type: 'any'},
+        http: {verb: 'get'},
+      }, function(value, cb) { cb(null, value); });
+      objects.addClass(sharedClass);
+
+      return request(app).get('/products/echo?value=abc')
+        .expect(200, {value: 'abc'})
+        .then(function() {
+          objects._typeRegistry.registerType('upper', {
+            fromTypedValue: (ctx, value) => ({value: value.toUpperCase()}),
+            fromSloppyValue: (ctx, value) => ({value: value.toUpperCase()}),
+            validate: () => null,
+          });
+          return request(app).get('/products/echo?value=abc')
+            .expect(200, {value: 'ABC'});
+        });
+    });
+
     it('should respect supported types', function(done) {
       const method = givenSharedStaticMethod(
         function(cb) {
@@ -1485,6 +1790,122 @@ describe('strong-remoting-rest', function() {
             done(err, res);
           });
       });
+
+      describe('request body', function() {
+        function givenEchoMethod(accepts) {
+          return givenSharedStaticMethod(
+            function echo(data, cb) {
+              cb(null, data);
+            },
+            {
+              accepts: accepts,
+              returns: {arg: 'data', type: 'object', root: true},
+              http: {path: '/'},
+            },
+          );
+        }
+
+        it('parses application/xml body', function() {
+          const method = givenEchoMethod(
+            {arg: 'data', type: 'object', http: {source: 'body'}},
+          );
+
+          return request(app).post(method.classUrl)
+            .set('Accept', 'application/json')
+            .set('Content-Type', 'application/xml')
+            .send('<response><x>1</x><y>Y</y></response>')
+            .expect(200, {x: '1', y: 'Y'});
+        });
+
+        it('parses text/xml body with repeated elements', function() {
+          const method = givenEchoMethod(
+            {arg: 'data', type: 'object', http: {source: 'body'}},
+          );
+
+          return request(app).post(method.classUrl)
+            .set('Accept', 'application/json')
+            .set('Content-Type', 'text/xml')
+            .send('<data id="7"><tag>a</tag><tag>b</tag></data>')
+            .expect(200, {id: '7', tag: ['a', 'b']});
+        });
+
+        it('coerces values of arguments read from the body', function() {
+          const method = givenSharedStaticMethod(
+            function sum(a, b, cb) {
+              cb(null, a + b);
+            },
+            {
+              accepts: [
+                {arg: 'a', type: 'number'},
+                {arg: 'b', type: 'number'},
+              ],
+              returns: {arg: 'sum', type: 'number'},
+              http: {path: '/'},
+            },
+          );
+
+          return request(app).post(method.classUrl)
+            .set('Accept', 'application/json')
+            .set('Content-Type', 'application/xml')
+            .send('<?xml version="1.0"?><args><a>1</a><b>2</b></args>')
+            .expect(200, {sum: 3});
+        });
+
+        it('does not let __proto__ elements change the body', function() {
+          const method = givenSharedStaticMethod(
+            function inspect(data, cb) {
+              const proto = Object.getPrototypeOf(data);
+              cb(null, {
+                polluted: data.polluted === undefined ? null : data.polluted,
+                isPlain: proto === null || proto === Object.prototype,
+              });
+            },
+            {
+              accepts: {arg: 'data', type: 'object', http: {source: 'body'}},
+              returns: {arg: 'result', type: 'object', root: true},
+              http: {path: '/'},
+            },
+          );
+
+          return request(app).post(method.classUrl)
+            .set('Accept', 'application/json')
+            .set('Content-Type', 'application/xml')
+            .send('<data><__proto__><polluted>yes</polluted></__proto__>' +
+              '<x>1</x></data>')
+            .expect(200, {polluted: null, isPlain: true})
+            .then(function() {
+              expect({}.polluted).to.equal(undefined);
+            });
+        });
+
+        it('treats an empty body as an empty object', function() {
+          const method = givenEchoMethod(
+            {arg: 'data', type: 'object', http: {source: 'body'}},
+          );
+
+          return request(app).post(method.classUrl)
+            .set('Accept', 'application/json')
+            .set('Content-Type', 'application/xml')
+            .send('')
+            .expect(200, {});
+        });
+
+        it('rejects malformed xml with 400', function() {
+          const method = givenEchoMethod(
+            {arg: 'data', type: 'object', http: {source: 'body'}},
+          );
+
+          return request(app).post(method.classUrl)
+            .set('Accept', 'application/json')
+            .set('Content-Type', 'application/xml')
+            .send('<data><x>1</data>')
+            .expect(400)
+            .then(function(res) {
+              expect(res.body.error.message)
+                .to.match(/^Cannot parse XML request body/);
+            });
+        });
+      });
     });
 
     describe('_format support', function() {
@@ -1564,6 +1985,163 @@ describe('strong-remoting-rest', function() {
       });
     });
 
+    describe('jsonSerializer option', function() {
+      let method;
+      beforeEach(function() {
+        method = givenSharedStaticMethod(
+          function list(cb) {
+            cb(null, [{id: 1, name: 'a', secret: 'x'}]);
+          },
+          {
+            returns: {arg: 'data', type: [{id: 'number', name: 'string'}],
+              root: true},
+          },
+        );
+      });
+
+      it('serializes results using declared types', function() {
+        restHandlerOptions = {jsonSerializer: true};
+        return request(app).get(method.url)
+          .expect('Content-Type', /application\/json/)
+          .expect(200, [{id: 1, name: 'a'}]);
+      });
+
+      it('is disabled by default', function() {
+        return request(app).get(method.url)
+          .expect(200, [{id: 1, name: 'a', secret: 'x'}]);
+      });
+
+      it('can be disabled per method', function() {
+        restHandlerOptions = {jsonSerializer: true};
+        remotes.testClass.testMethod.http = {jsonSerializer: false};
+        return request(app).get(method.url)
+          .expect(200, [{id: 1, name: 'a', secret: 'x'}]);
+      });
+
+      it('is not used when the app configures json spaces', function() {
+        const prettyApp = express();
+        prettyApp.set('json spaces', 2);
+        prettyApp.use(function(req, res, next) {
+          objects.handler(adapterName, {jsonSerializer: true})
+            .apply(objects, arguments);
+        });
+
+        return request(prettyApp).get(method.url)
+          .expect(200)
+          .then(function(res) {
+            const data = [{id: 1, name: 'a', secret: 'x'}];
+            expect(res.text).to.equal(JSON.stringify(data, null, 2));
+          });
+      });
+    });
+
+    describe('custom response formats', function() {
+      let method;
+      beforeEach(function() {
+        objects.registerResponseFormat('text/csv', {
+          aliases: ['csv'],
+          serialize: function(ctx, data) {
+            return data.map(function(row) {
+              return row.id + ',' + row.name;
+            }).join('\n');
+          },
+        });
+
+        method = givenSharedStaticMethod(
+          function list(cb) {
+            cb(null, [{id: 1, name: 'a'}, {id: 2, name: 'b'}]);
+          },
+          {
+            returns: {arg: 'data', type: ['object'], root: true},
+            http: {verb: 'get', path: '/'},
+          },
+        );
+      });
+
+      it('serializes the result when requested via Accept', function() {
+        return request(app).get(method.classUrl)
+          .set('Accept', 'text/csv')
+          .expect('Content-Type', /^text\/csv/)
+          .expect(200, '1,a\n2,b');
+      });
+
+      it('serializes the result when requested via _format alias', function() {
+        return request(app).get(method.classUrl + '?_format=csv')
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /^text\/csv/)
+          .expect(200, '1,a\n2,b');
+      });
+
+      it('serializes the result when _format is the content type', function() {
+        return request(app).get(method.classUrl + '?_format=text/csv')
+          .expect('Content-Type', /^text\/csv/)
+          .expect(200, '1,a\n2,b');
+      });
+
+      it('keeps json as the default format', function() {
+        return request(app).get(method.classUrl)
+          .set('Accept', '*/*')
+          .expect('Content-Type', /json/)
+          .expect(200, [{id: 1, name: 'a'}, {id: 2, name: 'b'}]);
+      });
+
+      it('uses the content type provided by the format', function() {
+        objects.registerResponseFormat('application/x-yaml', {
+          contentType: 'text/yaml',
+          aliases: ['YAML'],
+          serialize: function(ctx, data) {
+            return data.map(function(row) {
+              return '- id: ' + row.id;
+            }).join('\n');
+          },
+        });
+
+        return request(app).get(method.classUrl + '?_format=yaml')
+          .expect('Content-Type', /^text\/yaml/)
+          .expect(200, '- id: 1\n- id: 2');
+      });
+
+      it('passes the context to the serializer', function() {
+        objects.registerResponseFormat('text/plain', {
+          serialize: function(ctx, data) {
+            return ctx.method.name + ':' + data.length;
+          },
+        });
+
+        return request(app).get(method.classUrl)
+          .set('Accept', 'text/plain')
+          .expect(200, 'testMethod:2');
+      });
+
+      it('reports errors thrown by the serializer', function() {
+        objects.registerResponseFormat('text/csv', {
+          serialize: function(ctx, data) {
+            throw new Error('cannot serialize');
+          },
+        });
+
+        return request(app).get(method.classUrl)
+          .set('Accept', 'text/csv')
+          .expect(500)
+          .then(function(res) {
+            expect(res.body.error.message).to.equal('cannot serialize');
+          });
+      });
+
+      it('rejects formats without a serialize function', function() {
+        expect(function() {
+          objects.registerResponseFormat('text/csv', {});
+        }).to.throw(/serialize/);
+      });
+
+      it('stops using deleted formats', function() {
+        objects.deleteResponseFormat('text/csv');
+
+        return request(app).get(method.classUrl + '?_format=csv')
+          .expect(406);
+      });
+    });
+
     describe('uncaught errors', function() {
       it('should return 500 if an error object is thrown', function(done) {
         remotes.shouldThrow = {
@@ -2034,7 +2612,98 @@ describe('strong-remoting-rest', function() {
     });
   });
 
-  describe('status codes', function() {
+  describe('invocation timeouts', function() {
+    it('fails invocations not finished in time with 504', function(done) {
+      let signal;
+      const method = givenSharedStaticMethod(
+        function(ctx, cb) {
+          signal = ctx.signal;
+          // never calls back
+        },
+        {
+          accepts: {arg: 'ctx', type: 'object', http: {source: 'context'}},
+          timeout: 20,
+        },
+      );
+
+      request(app).get(method.url)
+        .expect(504)
+        .end(function(err, res) {
+          if (err) return done(err);
+          expect(res.body.error).to.have.property('code', 'INVOCATION_TIMEOUT');
+          expect(signal.aborted).to.equal(true);
+          expect(signal.reason).to.have.property('code', 'INVOCATION_TIMEOUT');
+          done();
+        });
+    });
+
+    it('drops results of methods calling back after the timeout',
+      function(done) {
+        let lateCallback;
+        const method = givenSharedStaticMethod(
+          function(cb) {
+            lateCallback = function() { cb(null, 'late'); };
+          },
+          {
+            returns: {arg: 'X-Result', type: 'string',
+              http: {target: 'header'}},
+            timeout: 20,
+          },
+        );
+
+        request(app).get(method.url)
+          .expect(504)
+          .end(function(err, res) {
+            if (err) return done(err);
+            // would throw ERR_HTTP_HEADERS_SENT when setting the header
+            lateCallback();
+            setImmediate(done);
+          });
+      });
+
+    it('uses the timeout configured by remotes options', function(done) {
+      objects.options.timeout = 20;
+      const method = givenSharedStaticMethod(function(cb) {
+        return new Promise(function() {});
+      });
+
+      request(app).get(method.url)
+        .expect(504)
+        .end(expectErrorResponseContaining({code: 'INVOCATION_TIMEOUT'}, done));
+    });
+
+    it('allows methods to disable the default timeout', function(done) {
+      objects.options.timeout = 20;
+      const method = givenSharedStaticMethod(
+        function(cb) { setTimeout(cb, 40); },
+        {timeout: 0},
+      );
+
+      request(app).get(method.url).expect(204, done);
+    });
+
+    it('aborts the signal when the client disconnects', function(done) {
+      const method = givenSharedStaticMethod(
+        function(ctx, cb) {
+          ctx.signal.addEventListener('abort', function() {
+            expect(ctx.signal.reason)
+              .to.have.property('code', 'CLIENT_DISCONNECTED');
+            cb();
+            done();
+          });
+          req.abort();
+        },
+        {
+          accepts: {arg: 'ctx', type: 'object', http: {source: 'context'}},
+        },
+      );
+
+      const req = request(app).get(method.url);
+      req.end(function() {});
+    });
+  });
+
+  describe('status codes', function() {
     describe('using a custom status code', function() {
       it('returns a custom status code', function(done) {
         const method = givenSharedStaticMethod(
@@ -2130,6 +2799,63 @@ describe('strong-remoting-rest', function() {
         .expect(404)
         .end(expectErrorResponseContaining({statusCode: 404}, done));
     });
+
+    describe('unsupported verbs', function() {
+      beforeEach(function() {
+        const sharedClass = new SharedClass('products', function() {}, {});
+        sharedClass.defineMethod('find', {
+          isStatic: true,
+          http: {verb: 'get', path: '/'},
+        }, function(cb) { cb(); });
+        sharedClass.defineMethod('create', {
+          isStatic: true,
+          http: {verb: 'post', path: '/'},
+        }, function(cb) { cb(); });
+        sharedClass.defineMethod('deleteById', {
+          isStatic: true,
+          accepts: {arg: 'id', type: 'number', http: {source: 'path'}},
+          http: {verb: 'del', path: '/:id'},
+        }, function(id, cb) { cb(); });
+        objects.addClass(sharedClass);
+      });
+
+      it('answers OPTIONS with the allowed verbs', function() {
+        return request(app).options('/products')
+          .expect(204)
+          .expect('Allow', 'POST, GET, HEAD, OPTIONS');
+      });
+
+      it('returns 405 with Allow header for unsupported verbs', function() {
+        return request(app).put('/products')
+          .expect(405)
+          .expect('Allow', 'POST, GET, HEAD, OPTIONS')
+          .then(function(res) {
+            expect(res.body.error).to.have.property('statusCode', 405);
+            expect(res.body.error.message).to.match(/PUT/);
+          });
+      });
+
+      it('lists verbs of parametrized paths', function() {
+        return request(app).get('/products/1')
+          .expect(405)
+          .expect('Allow', 'DELETE, OPTIONS');
+      });
+
+      it('still handles allowed verbs', function() {
+        return request(app).del('/products/1')
+          .expect(204);
+      });
+
+      it('returns 404 for unknown paths of the class', function() {
+        return request(app).put('/products/1/unknown')
+          .expect(404);
+      });
+
+      it('returns 405 for HEAD of paths without GET', function() {
+        return request(app).head('/products/1')
+          .expect(405);
+      });
+    });
   });
 
   describe('result args as headers', function() {
@@ -2196,6 +2922,280 @@ describe('strong-remoting-rest', function() {
     });
   });
 
+  describe('conditional GET requests', function() {
+    function givenGetMethod(config) {
+      return givenSharedStaticMethod(
+        function list(cb) {
+          cb(null, [{id: 1}], '"v1"', new Date('2019-01-01T00:00:00Z'));
+        },
+        extend({
+          returns: {arg: 'data', type: ['object'], root: true},
+          http: {verb: 'get', path: '/'},
+        }, config),
+      );
+    }
+
+    it('computes a weak ETag when enabled', function() {
+      restHandlerOptions = {etag: true};
+      const method = givenGetMethod();
+
+      return request(app).get(method.classUrl)
+        .expect(200, [{id: 1}])
+        .expect('ETag', /^W\/"[0-9a-f]+-[^"]+"$/);
+    });
+
+    it('computes a strong ETag when configured', function() {
+      restHandlerOptions = {etag: 'strong'};
+      const method = givenGetMethod();
+
+      return request(app).get(method.classUrl)
+        .expect(200)
+        .expect('ETag', /^"[0-9a-f]+-[^"]+"$/);
+    });
+
+    it('supports per-method etag setting', function() {
+      const method = givenGetMethod({
+        http: {verb: 'get', path: '/', etag: 'strong'},
+      });
+
+      return request(app).get(method.classUrl)
+        .expect(200)
+        .expect('ETag', /^"/);
+    });
+
+    it('computes different ETags for different formats', function() {
+      restHandlerOptions = {etag: 'strong', xml: true};
+      const method = givenGetMethod();
+      let jsonTag;
+
+      return request(app).get(method.classUrl)
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(function(res) {
+          jsonTag = res.get('ETag');
+          return request(app).get(method.classUrl)
+            .set('Accept', 'application/xml')
+            .expect(200);
+        })
+        .then(function(res) {
+          expect(res.get('ETag')).to.not.equal(jsonTag);
+        });
+    });
+
+    it('computes different ETags for different JSONP callbacks', function() {
+      restHandlerOptions = {etag: 'strong'};
+      const method = givenGetMethod();
+      let firstTag;
+
+      return request(app).get(method.classUrl + '?callback=first')
+        .set('Accept', 'application/javascript')
+        .expect(200)
+        .then(function(res) {
+          firstTag = res.get('ETag');
+          return request(app).get(method.classUrl + '?callback=second')
+            .set('Accept', 'application/javascript')
+            .expect(200);
+        })
+        .then(function(res) {
+          expect(res.text).to.match(/second\(/);
+          expect(res.get('ETag')).to.not.equal(firstTag);
+        });
+    });
+
+    it('computes the ETag from the body sent', function() {
+      restHandlerOptions = {etag: 'strong'};
+      const method = givenGetMethod();
+      let compactTag;
+
+      return request(app).get(method.classUrl)
+        .expect(200)
+        .then(function(res) {
+          compactTag = res.get('ETag');
+          app.set('json spaces', 2);
+          return request(app).get(method.classUrl).expect(200);
+        })
+        .then(function(res) {
+          app.set('json spaces', undefined);
+          expect(res.text).to.contain('\n');
+          expect(res.get('ETag')).to.not.equal(compactTag);
+        }, function(err) {
+          app.set('json spaces', undefined);
+          throw err;
+        });
+    });
+
+    it('responds with 304 when If-None-Match matches', function() {
+      restHandlerOptions = {etag: true};
+      const method = givenGetMethod();
+
+      return request(app).get(method.classUrl)
+        .expect(200)
+        .then(function(res) {
+          return request(app).get(method.classUrl)
+            .set('If-None-Match', res.get('ETag'))
+            .expect(304, '');
+        });
+    });
+
+    it('responds with 200 when If-None-Match does not match', function() {
+      restHandlerOptions = {etag: true};
+      const method = givenGetMethod();
+
+      return request(app).get(method.classUrl)
+        .set('If-None-Match', 'W/"stale"')
+        .expect(200, [{id: 1}]);
+    });
+
+    it('uses the ETag provided by a return arg', function() {
+      restHandlerOptions = {etag: true};
+      const method = givenGetMethod({
+        returns: [
+          {arg: 'data', type: ['object'], root: true},
+          {arg: 'version', type: 'string', http: {target: 'etag'}},
+        ],
+      });
+
+      return request(app).get(method.classUrl)
+        .expect(200)
+        .expect('ETag', '"v1"')
+        .then(function() {
+          return request(app).get(method.classUrl)
+            .set('If-None-Match', '"v1"')
+            .expect(304);
+        });
+    });
+
+    it('honours If-Modified-Since using a lastModified return arg', function() {
+      const method = givenGetMethod({
+        returns: [
+          {arg: 'data', type: ['object'], root: true},
+          {arg: 'version', type: 'string'},
+          {arg: 'modified', type: 'date', http: {target: 'lastModified'}},
+        ],
+      });
+
+      return request(app).get(method.classUrl)
+        .expect(200)
+        .expect('Last-Modified', 'Tue, 01 Jan 2019 00:00:00 GMT')
+        .then(function() {
+          return request(app).get(method.classUrl)
+            .set('If-Modified-Since', 'Wed, 02 Jan 2019 00:00:00 GMT')
+            .expect(304);
+        })
+        .then(function() {
+          return request(app).get(method.classUrl)
+            .set('If-Modified-Since', 'Mon, 31 Dec 2018 00:00:00 GMT')
+            .expect(200);
+        });
+    });
+
+    it('does not respond with 304 to non-GET requests', function() {
+      restHandlerOptions = {etag: true};
+      const method = givenGetMethod({
+        returns: [
+          {arg: 'data', type: ['object'], root: true},
+          {arg: 'version', type: 'string', http: {target: 'etag'}},
+        ],
+        http: {verb: 'post', path: '/'},
+      });
+
+      return request(app).post(method.classUrl)
+        .set('If-None-Match', '"v1"')
+        .expect(200);
+    });
+  });
+
+  describe('If-Match preconditions', function() {
+    const PreconditionFailedError = RemoteObjects.PreconditionFailedError;
+
+    function givenUpdateMethod(http) {
+      return givenSharedStaticMethod(
+        function update(version, cb) {
+          if (version !== 3) return cb(new PreconditionFailedError());
+          cb(null, 4);
+        },
+        {
+          accepts: {arg: 'version', type: 'number', http: {source: 'ifMatch'}},
+          returns: {arg: 'version', type: 'number'},
+          http: extend({verb: 'put', path: '/'}, http),
+        },
+      );
+    }
+
+    it('provides the If-Match value as an argument', function() {
+      const method = givenUpdateMethod({requireIfMatch: true});
+
+      return request(app).put(method.classUrl)
+        .set('If-Match', '"3"')
+        .expect(200, {version: 4});
+    });
+
+    it('reports version mismatch with 412', function() {
+      const method = givenUpdateMethod({requireIfMatch: true});
+
+      return request(app).put(method.classUrl)
+        .set('If-Match', '"2"')
+        .expect(412)
+        .then(function(res) {
+          expect(res.body.error).to.have.property('code', 'PRECONDITION_FAILED');
+          expect(res.body.error).to.have.property('name',
+            'PreconditionFailedError');
+        });
+    });
+
+    it('rejects requests without If-Match with 428', function() {
+      let called = false;
+      const method = givenSharedStaticMethod(
+        function update(cb) {
+          called = true;
+          cb();
+        },
+        {http: {verb: 'put', path: '/', requireIfMatch: true}},
+      );
+
+      return request(app).put(method.classUrl)
+        .expect(428)
+        .then(function(res) {
+          expect(res.body.error).to.have.property('code',
+            'PRECONDITION_REQUIRED');
+          expect(called).to.equal(false);
+        });
+    });
+
+    it('accepts requests without If-Match when not required', function() {
+      givenSharedStaticMethod(
+        function update(tag, cb) {
+          cb(null, tag === undefined);
+        },
+        {
+          accepts: {arg: 'tag', type: 'string', http: {source: 'ifMatch'}},
+          returns: {arg: 'missing', type: 'boolean'},
+          http: {verb: 'put', path: '/'},
+        },
+      );
+
+      return request(app).put('/testClass')
+        .expect(200, {missing: true});
+    });
+
+    it('provides multiple entity tags as an array', function() {
+      givenSharedStaticMethod(
+        function update(tags, cb) {
+          cb(null, tags);
+        },
+        {
+          accepts: {arg: 'tags', type: ['string'], http: {source: 'ifMatch'}},
+          returns: {arg: 'tags', type: ['string']},
+          http: {verb: 'put', path: '/'},
+        },
+      );
+
+      return request(app).put('/testClass')
+        .set('If-Match', '"a", W/"b", *')
+        .expect(200, {tags: ['a', 'W/"b"', '*']});
+    });
+  });
+
   describe('returns type "file"', function() {
     const METHOD_SIGNATURE = {
       returns: [
@@ -2264,6 +3264,224 @@ describe('strong-remoting-rest', function() {
           done();
         });
     });
+
+    describe('range requests', function() {
+      function givenFileMethod(value, http) {
+        return givenSharedStaticMethod(
+          function(cb) {
+            cb(null, typeof value === 'function' ? value() : value, 'text/plain');
+          },
+          {
+            returns: [
+              {arg: 'body', type: 'file', root: true, http: http},
+              {arg: 'Content-Type', type: 'string', http: {target: 'header'}},
+            ],
+            http: {verb: 'get'},
+          },
+        );
+      }
+
+      function givenStream(text, size) {
+        return function() {
+          const stream = new Readable();
+          stream.push(text.slice(0, 4));
+          stream.push(text.slice(4));
+          stream.push(null);
+          stream.size = size;
+          return stream;
+        };
+      }
+
+      it('advertises range support for files of known size', function() {
+        const method = givenFileMethod(Buffer.from('0123456789'));
+
+        return request(app).get(method.url)
+          .expect(200)
+          .expect('Accept-Ranges', 'bytes')
+          .expect('Content-Length', '10')
+          .expect('0123456789');
+      });
+
+      it('sends partial content of a Buffer', function() {
+        const method = givenFileMethod(Buffer.from('0123456789'));
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=2-5')
+          .expect(206)
+          .expect('Content-Range', 'bytes 2-5/10')
+          .expect('Content-Length', '4')
+          .expect('2345');
+      });
+
+      it('sends partial content of a stream with a known size', function() {
+        const method = givenFileMethod(givenStream('0123456789', 10));
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=3-')
+          .expect(206)
+          .expect('Content-Range', 'bytes 3-9/10')
+          .expect('3456789');
+      });
+
+      it('reads partial content from a seekable source', function() {
+        let options;
+        const method = givenFileMethod({
+          size: 10,
+          createReadStream: function(opts) {
+            options = opts;
+            const stream = new Readable();
+            stream.push('0123456789'.slice(opts.start, opts.end + 1));
+            stream.push(null);
+            return stream;
+          },
+        });
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=-3')
+          .expect(206)
+          .expect('Content-Range', 'bytes 7-9/10')
+          .expect('789')
+          .then(function() {
+            expect(options).to.eql({start: 7, end: 9});
+          });
+      });
+
+      it('rejects unsatisfiable ranges with 416', function() {
+        const method = givenFileMethod('0123456789');
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=20-30')
+          .expect(416)
+          .expect('Content-Range', 'bytes */10');
+      });
+
+      it('closes file streams not sent to HEAD requests', function() {
+        let stream;
+        const method = givenFileMethod(function() {
+          stream = fs.createReadStream(__filename);
+          stream.size = fs.statSync(__filename).size;
+          return stream;
+        });
+
+        return request(app).head(method.url)
+          .expect(200)
+          .expect('Content-Length', String(fs.statSync(__filename).size))
+          .then(function() {
+            return waitForClose(stream);
+          });
+      });
+
+      it('closes file streams of unsatisfiable ranges', function() {
+        let stream;
+        const method = givenFileMethod(function() {
+          stream = fs.createReadStream(__filename);
+          stream.size = fs.statSync(__filename).size;
+          return stream;
+        });
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=1000000000-')
+          .expect(416)
+          .then(function() {
+            return waitForClose(stream);
+          });
+      });
+
+      function waitForClose(stream) {
+        expect(stream.destroyed).to.equal(true);
+        if (stream.closed) return;
+        return new Promise(function(resolve) {
+          stream.once('close', resolve);
+        });
+      }
+
+      it('sends the full content for multiple ranges', function() {
+        const method = givenFileMethod('0123456789');
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=0-1,5-6')
+          .expect(200, '0123456789');
+      });
+
+      it('sends the full content when If-Range does not match', function() {
+        const method = givenSharedStaticMethod(
+          function(cb) { cb(null, '0123456789', 'text/plain', '"v2"'); },
+          {
+            returns: [
+              {arg: 'body', type: 'file', root: true},
+              {arg: 'Content-Type', type: 'string', http: {target: 'header'}},
+              {arg: 'ETag', type: 'string', http: {target: 'header'}},
+            ],
+            http: {verb: 'get'},
+          },
+        );
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=0-1')
+          .set('If-Range', '"v1"')
+          .expect(200, '0123456789');
+      });
+
+      it('honours Range when If-Range matches', function() {
+        const method = givenSharedStaticMethod(
+          function(cb) { cb(null, '0123456789', 'text/plain', '"v1"'); },
+          {
+            returns: [
+              {arg: 'body', type: 'file', root: true},
+              {arg: 'Content-Type', type: 'string', http: {target: 'header'}},
+              {arg: 'ETag', type: 'string', http: {target: 'header'}},
+            ],
+            http: {verb: 'get'},
+          },
+        );
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=0-1')
+          .set('If-Range', '"v1"')
+          .expect(206, '01');
+      });
+
+      it('ignores Range of streams with unknown size', function() {
+        const method = givenFileMethod(givenStream('0123456789'));
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=0-1')
+          .expect(200, '0123456789')
+          .then(function(res) {
+            expect(res.get('Accept-Ranges')).to.equal(undefined);
+          });
+      });
+
+      it('can disable range requests', function() {
+        const method = givenFileMethod('0123456789', {ranges: false});
+
+        return request(app).get(method.url)
+          .set('Range', 'bytes=0-1')
+          .expect(200, '0123456789')
+          .then(function(res) {
+            expect(res.get('Accept-Ranges')).to.equal(undefined);
+          });
+      });
+
+      it('sets Content-Disposition from the returns descriptor', function() {
+        const method = givenFileMethod('data', {
+          disposition: 'attachment',
+          filename: 'report.csv',
+        });
+
+        return request(app).get(method.url)
+          .expect(200)
+          .expect('Content-Disposition', 'attachment; filename="report.csv"');
+      });
+
+      it('supports inline disposition', function() {
+        const method = givenFileMethod('data', {disposition: 'inline'});
+
+        return request(app).get(method.url)
+          .expect(200)
+          .expect('Content-Disposition', 'inline');
+      });
+    });
   });
 
   it('returns correct error response body', function(done) {
@@ -2447,6 +3665,207 @@ describe('strong-remoting-rest', function() {
       });
   });
 
+  describe('accepts type "file"', function() {
+    function givenUploadMethod(config) {
+      return givenSharedStaticMethod(
+        function upload(avatar, title, cb) {
+          cb(null, {
+            filename: avatar && avatar.filename,
+            mimetype: avatar && avatar.mimetype,
+            size: avatar && avatar.size,
+            content: avatar && avatar.buffer.toString(),
+            title: title,
+          });
+        },
+        extend({
+          accepts: [
+            {arg: 'avatar', type: 'file', http: {source: 'form'}},
+            {arg: 'title', type: 'string', http: {source: 'form'}},
+          ],
+          returns: {arg: 'data', type: 'object', root: true},
+          http: {path: '/upload'},
+        }, config),
+      );
+    }
+
+    it('receives files and fields of multipart requests', function() {
+      givenUploadMethod();
+
+      return request(app).post('/testClass/upload')
+        .field('title', 'me')
+        .attach('avatar', Buffer.from('image-data'),
+          {filename: 'me.png', contentType: 'image/png'})
+        .expect(200, {
+          filename: 'me.png',
+          mimetype: 'image/png',
+          size: 10,
+          content: 'image-data',
+          title: 'me',
+        });
+    });
+
+    it('coerces form fields of multipart requests', function() {
+      givenSharedStaticMethod(
+        function upload(file, count, cb) {
+          cb(null, count);
+        },
+        {
+          accepts: [
+            {arg: 'file', type: 'file', http: {source: 'form'}},
+            {arg: 'count', type: 'number', http: {source: 'form'}},
+          ],
+          returns: {arg: 'count', type: 'number'},
+          http: {path: '/upload'},
+        },
+      );
+
+      return request(app).post('/testClass/upload')
+        .field('count', '42')
+        .expect(200, {count: 42});
+    });
+
+    it('receives multiple files as an array', function() {
+      givenSharedStaticMethod(
+        function upload(files, cb) {
+          cb(null, files.map(function(f) { return f.filename; }));
+        },
+        {
+          accepts: {arg: 'files', type: ['file'], http: {source: 'form'}},
+          returns: {arg: 'names', type: ['string']},
+          http: {path: '/upload'},
+        },
+      );
+
+      return request(app).post('/testClass/upload')
+        .attach('files', Buffer.from('a'), 'a.txt')
+        .attach('files', Buffer.from('b'), 'b.txt')
+        .expect(200, {names: ['a.txt', 'b.txt']});
+    });
+
+    it('provides a stream of the file contents', function() {
+      givenSharedStaticMethod(
+        function upload(file, cb) {
+          let data = '';
+          file.createReadStream()
+            .on('data', function(chunk) { data += chunk; })
+            .on('end', function() { cb(null, data); });
+        },
+        {
+          accepts: {arg: 'file', type: 'file', http: {source: 'form'}},
+          returns: {arg: 'data', type: 'string'},
+          http: {path: '/upload'},
+        },
+      );
+
+      return request(app).post('/testClass/upload')
+        .attach('file', Buffer.from('streamed'), 'file.txt')
+        .expect(200, {data: 'streamed'});
+    });
+
+    it('rejects files provided by non-multipart requests', function() {
+      givenUploadMethod();
+
+      return request(app).post('/testClass/upload')
+        .send({avatar: {filename: 'fake.png', buffer: 'data'}})
+        .expect(400)
+        .then(function(res) {
+          expect(res.body.error.message).to.match(/is not a file/);
+        });
+    });
+
+    it('reports a required file missing', function() {
+      givenUploadMethod({
+        accepts: {arg: 'avatar', type: 'file', required: true,
+          http: {source: 'form'}},
+      });
+
+      return request(app).post('/testClass/upload')
+        .field('title', 'me')
+        .expect(400);
+    });
+
+    it('applies per-method size limits', function() {
+      givenUploadMethod({
+        http: {path: '/upload', multipart: {fileSize: 4}},
+      });
+
+      return request(app).post('/testClass/upload')
+        .attach('avatar', Buffer.from('too large'), 'big.png')
+        .expect(413)
+        .then(function(res) {
+          expect(res.body.error.code).to.equal('LIMIT_FILE_SIZE');
+        });
+    });
+
+    it('limits the file size by default', function() {
+      givenUploadMethod();
+
+      return request(app).post('/testClass/upload')
+        .attach('avatar', Buffer.alloc(10 * 1024 * 1024 + 1), 'big.png')
+        .expect(413)
+        .then(function(res) {
+          expect(res.body.error.code).to.equal('LIMIT_FILE_SIZE');
+        });
+    });
+
+    it('allows configured limits to raise the defaults', function() {
+      objects.options.multipart = {files: 20};
+      givenSharedStaticMethod(
+        function upload(files, cb) { cb(null, files.length); },
+        {
+          accepts: {arg: 'files', type: ['file'], http: {source: 'form'}},
+          returns: {arg: 'count', type: 'number', root: true},
+          http: {path: '/upload'},
+        },
+      );
+
+      let req = request(app).post('/testClass/upload');
+      for (let i = 0; i < 11; i++) {
+        req = req.attach('files', Buffer.from('a'), i + '.png');
+      }
+      return req.expect(200).then(function(res) {
+        expect(res.body).to.equal(11);
+      });
+    });
+
+    it('rejects malformed multipart requests', function() {
+      givenUploadMethod();
+      // a header starting with a continuation line (CVE-2022-24434)
+      const body = '--XX\r\n' +
+        ' continued\r\n' +
+        'Content-Disposition: form-data; name="avatar"; filename="a.png"\r\n' +
+        '\r\n' +
+        'content\r\n' +
+        '--XX--\r\n';
+
+      return request(app).post('/testClass/upload')
+        .set('Content-Type', 'multipart/form-data; boundary=XX')
+        .send(body)
+        .expect(400)
+        .then(function() {
+          return request(app).post('/testClass/upload')
+            .field('title', 'still running')
+            .expect(200);
+        })
+        .then(function(res) {
+          expect(res.body.title).to.equal('still running');
+        });
+    });
+
+    it('applies global count limits', function() {
+      objects.options.multipart = {files: 1};
+      givenUploadMethod();
+
+      return request(app).post('/testClass/upload')
+        .attach('avatar', Buffer.from('a'), 'a.png')
+        .attach('avatar', Buffer.from('b'), 'b.png')
+        .expect(413)
+        .then(function(res) {
+          expect(res.body.error.code).to.equal('LIMIT_FILE_COUNT');
+        });
+    });
+  });
+
   describe('client', function() {
     describe('call of constructor method', function() {
       it('should work', function(done) {
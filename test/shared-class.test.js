@@ -244,6 +244,88 @@ describe('SharedClass', function() {
       });
       assert(sc.findMethodByName('myMethod') === sm);
     });
+
+    it('finds sharedMethod by alias', function() {
+      const sc = new SharedClass('SomeClass', SomeClass);
+      const sm = sc.defineMethod('myMethod', {
+        isStatic: true,
+        aliases: ['myAlias'],
+      });
+      assert(sc.findMethodByName('myAlias') === sm);
+    });
+
+    it('does not re-resolve methods on repeated lookups', function() {
+      const sc = new SharedClass('SomeClass', SomeClass);
+      let resolveCount = 0;
+      sc.resolve(function(define) {
+        resolveCount++;
+        define('resolvedMethod', {isStatic: true}, NOOP);
+      });
+
+      const sm = sc.findMethodByName('resolvedMethod');
+      expect(sc.findMethodByName('resolvedMethod')).to.equal(sm);
+      expect(resolveCount).to.equal(1);
+    });
+
+    it('finds methods defined after the previous lookup', function() {
+      const sc = new SharedClass('SomeClass', SomeClass);
+      sc.defineMethod('first', {isStatic: true});
+      sc.findMethodByName('first');
+
+      const sm = sc.defineMethod('second', {isStatic: true});
+      expect(sc.findMethodByName('second')).to.equal(sm);
+    });
+
+    it('finds shared functions added to the constructor later', function() {
+      const sc = new SharedClass('SomeClass', SomeClass);
+      sc.findMethodByName('lateMethod');
+
+      SomeClass.lateMethod = extend(function() {}, {shared: true});
+      expect(sc.findMethodByName('lateMethod'))
+        .to.have.property('name', 'lateMethod');
+    });
+
+    it('does not find methods disabled after the previous lookup', function() {
+      const sc = new SharedClass('SomeClass', SomeClass);
+      sc.defineMethod('myMethod', {isStatic: true});
+      sc.findMethodByName('myMethod');
+
+      sc.disableMethodByName('myMethod');
+      expect(sc.findMethodByName('myMethod')).to.equal(undefined);
+    });
+
+    it('does not find functions un-shared after the previous lookup',
+      function() {
+        const sc = new SharedClass('SomeClass', SomeClass);
+        const fn = SomeClass.unsharedMethod = extend(function() {},
+          {shared: true});
+        expect(sc.findMethodByName('unsharedMethod')).to.be.an('object');
+
+        fn.shared = false;
+        expect(sc.findMethodByName('unsharedMethod')).to.equal(undefined);
+      });
+
+    it('does not find methods un-shared after the previous lookup',
+      function() {
+        const sc = new SharedClass('SomeClass', SomeClass);
+        const sm = sc.defineMethod('myMethod', {isStatic: true});
+        expect(sc.findMethodByName('myMethod')).to.equal(sm);
+
+        sm.shared = false;
+        expect(sc.findMethodByName('myMethod')).to.equal(undefined);
+      });
+
+    it('finds functions replaced after the previous lookup', function() {
+      const sc = new SharedClass('SomeClass', SomeClass);
+      SomeClass.prototype.replacedMethod = extend(function() {},
+        {shared: true});
+      sc.findMethodByName('prototype.replacedMethod');
+
+      const fn = SomeClass.prototype.replacedMethod = extend(function() {},
+        {shared: true});
+      expect(sc.findMethodByName('prototype.replacedMethod'))
+        .to.have.property('fn', fn);
+    });
   });
 
   describe('remotes.addClass(sharedClass)', function() {
@@ -149,6 +149,136 @@ describe('SharedMethod', function() {
         });
       });
     });
+
+    it('reports all invalid arguments with `collectArgErrors`', function(done) {
+      const method = givenSharedMethod({
+        accepts: [
+          {arg: 'num', type: 'number'},
+          {arg: 'name', type: 'string', required: true},
+          {arg: 'flag', type: 'boolean', http: {source: 'query'}},
+        ],
+      });
+
+      const args = {num: 'one', flag: true};
+      const options = {collectArgErrors: true};
+      method.invoke('ctx', args, options, ctx(method), function(err) {
+        expect(err).to.have.property('statusCode', 400);
+        expect(err).to.have.property('code', 'INVALID_ARGUMENTS');
+        expect(err.details).to.have.length(2);
+        expect(err.details[0]).to.have.property('name', 'num');
+        expect(err.details[0].message).to.contain('not a number');
+        expect(err.details[1]).to.have.property('name', 'name');
+        expect(err.details[1].message).to.contain('required');
+        done();
+      });
+    });
+
+    describe('validateReturns option', function() {
+      function givenMethodReturning(value) {
+        return givenSharedMethod(
+          function(cb) { cb(null, value); },
+          {returns: {arg: 'count', type: 'number'}},
+        );
+      }
+
+      it('rejects return values not matching declared type', function(done) {
+        const method = givenMethodReturning('many');
+        const options = {validateReturns: true};
+        method.invoke('ctx', {}, options, ctx(method), function(err) {
+          expect(err).to.have.property('statusCode', 500);
+          expect(err.message).to.match(
+            /^Invalid return value "count" of .*fn\. Value is not a number\.$/,
+          );
+          done();
+        });
+      });
+
+      it('accepts return values matching declared type', function(done) {
+        const method = givenMethodReturning(1);
+        const options = {validateReturns: true};
+        method.invoke('ctx', {}, options, ctx(method), function(err, result) {
+          if (err) return done(err);
+          expect(result).to.eql({count: 1});
+          done();
+        });
+      });
+
+      it('validates values resolved by promises', function(done) {
+        const method = givenSharedMethod(
+          function() { return Promise.resolve('many'); },
+          {returns: {arg: 'count', type: 'number'}},
+        );
+        const options = {validateReturns: true};
+        method.invoke('ctx', {}, options, ctx(method), function(err) {
+          expect(err).to.have.property('statusCode', 500);
+          done();
+        });
+      });
+
+      describe('in "warn" mode', function() {
+        let emitWarning, warnings;
+
+        beforeEach(function() {
+          warnings = [];
+          emitWarning = process.emitWarning;
+          process.emitWarning = function() {
+            warnings.push(Array.prototype.slice.call(arguments));
+          };
+        });
+
+        afterEach(function() {
+          process.emitWarning = emitWarning;
+        });
+
+        it('emits a warning', function(done) {
+          const method = givenMethodReturning('many');
+          const options = {validateReturns: 'warn'};
+
+          method.invoke('ctx', {}, options, ctx(method), function(err, result) {
+            if (err) return done(err);
+            expect(result).to.eql({count: 'many'});
+            expect(warnings).to.have.length(1);
+            expect(warnings[0][0]).to.contain('Invalid return value "count"');
+            expect(warnings[0][1]).to.equal('ReturnValueWarning');
+            done();
+          });
+        });
+      });
+    });
+
+    describe('applyArgDefaults', function() {
+      it('sets converted defaults of missing arguments', function() {
+        const method = givenSharedMethod({
+          accepts: [
+            {arg: 'limit', type: 'integer', default: '10'},
+            {arg: 'since', type: 'date', default: 0},
+            {arg: 'order', type: 'string', default: 'asc'},
+          ],
+        });
+
+        const args = method.applyArgDefaults({order: 'desc'}, ctx(method));
+
+        expect(args).to.eql({limit: 10, since: new Date(0), order: 'desc'});
+      });
+
+      it('copies object and array defaults', function() {
+        const method = givenSharedMethod({
+          accepts: [
+            {arg: 'filter', type: 'object', default: {where: {active: true}}},
+            {arg: 'tags', type: ['string'], default: ['new']},
+          ],
+        });
+
+        const first = method.applyArgDefaults({}, ctx(method));
+        first.filter.where.active = false;
+        first.tags.push('modified');
+
+        const second = method.applyArgDefaults({}, ctx(method));
+        expect(second).to.eql({filter: {where: {active: true}}, tags: ['new']});
+        expect(method.accepts[0].default).to.eql({where: {active: true}});
+      });
+    });
+
     describe('data type: integer', function() {
       describe('SharedMethod.getType - determine actual type based on value', function() {
         it('returns type: number for decimal value & integer target type',
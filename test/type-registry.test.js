@@ -23,4 +23,19 @@ describe('TypeRegistry', function() {
       });
     }).to.throw(/file/);
   });
+
+  it('creates converters for inline object definitions', function() {
+    const ctx = {typeRegistry: registry};
+    const converter = registry.getConverter({
+      name: 'string',
+      age: {type: 'number', required: true},
+    });
+
+    expect(converter.fromSloppyValue(ctx, {name: 'Jon', age: '42'}))
+      .to.eql({value: {name: 'Jon', age: 42}});
+
+    const err = converter.validate(ctx, {name: 'Jon'});
+    expect(err).to.have.property('statusCode', 400);
+    expect(err).to.have.property('propertyPath', 'age');
+  });
 });